@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+
+// Formato da chave: ak_<keyId>_<segredo>. O keyId é público e identifica a
+// chave nos logs; do segredo só o hash SHA-256 é guardado no banco.
+const FORMATO_API_KEY = /^ak_([0-9a-f]{16})_([\w-]{43})$/;
+
+const hashSegredo = (segredo) =>
+  crypto.createHash("sha256").update(segredo).digest("hex");
+
+// Gera uma chave nova. Com keyId, gera só um novo segredo (rotação).
+function gerarApiKey(keyId = crypto.randomBytes(8).toString("hex")) {
+  const segredo = crypto.randomBytes(32).toString("base64url");
+  return {
+    keyId,
+    chave: `ak_${keyId}_${segredo}`,
+    hash: hashSegredo(segredo),
+  };
+}
+
+// Separa a chave recebida no cabeçalho em keyId e segredo (null se inválida)
+function lerApiKey(chave) {
+  const partes = FORMATO_API_KEY.exec(String(chave || "").trim());
+  return partes && { keyId: partes[1], segredo: partes[2] };
+}
+
+// Compara o hash do segredo em tempo constante
+function segredoConfere(segredo, hash) {
+  const recebido = Buffer.from(hashSegredo(segredo), "hex");
+  const esperado = Buffer.from(hash, "hex");
+  return (
+    recebido.length === esperado.length &&
+    crypto.timingSafeEqual(recebido, esperado)
+  );
+}
+
+module.exports = { gerarApiKey, lerApiKey, segredoConfere };
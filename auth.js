@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const erroHttp = require("./erroHttp");
+const { permissoesDoPapel } = require("./permissoes");
+
+// Segredo usado para assinar os tokens. Em produção (NODE_ENV=production) é
+// obrigatório e a aplicação não sobe sem ele. Fora dela, sem JWT_SECRET é
+// gerado um segredo aleatório: os tokens deixam de valer ao reiniciar a
+// aplicação e não são aceitos por outros containers.
+const JWT_SECRET =
+  process.env.JWT_SECRET ||
+  (() => {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("JWT_SECRET é obrigatório em produção");
+    }
+    console.error(
+      "JWT_SECRET não definido, usando um segredo temporário para esta execução"
+    );
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+// Validade dos tokens (formato do jsonwebtoken: "15m", "7d", segundos...)
+const JWT_ACCESS_EXPIRES = process.env.JWT_ACCESS_EXPIRES || "15m";
+const JWT_REFRESH_EXPIRES = process.env.JWT_REFRESH_EXPIRES || "7d";
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+const SENHA_MIN = 8;
+const SENHA_MAX_BYTES = 72; // O bcrypt ignora o que passar de 72 bytes
+
+function validarSenha(senha) {
+  if (typeof senha !== "string" || senha.length < SENHA_MIN) {
+    throw erroHttp(400, `Senha deve ter pelo menos ${SENHA_MIN} caracteres`);
+  }
+  if (Buffer.byteLength(senha) > SENHA_MAX_BYTES) {
+    throw erroHttp(400, `Senha deve ter no máximo ${SENHA_MAX_BYTES} bytes`);
+  }
+}
+
+const hashSenha = (senha) => bcrypt.hash(senha, BCRYPT_ROUNDS);
+
+// Sem hash (usuário criado antes da autenticação) a senha nunca confere
+const conferirSenha = (senha, hash) =>
+  hash ? bcrypt.compare(String(senha), hash) : Promise.resolve(false);
+
+// Assina um token do tipo informado e retorna também a validade em segundos
+function assinar(tipo, payload, opcoes) {
+  const token = jwt.sign({ ...payload, tipo }, JWT_SECRET, opcoes);
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat, expiresAt: new Date(exp * 1000) };
+}
+
+// Access token de curta duração, enviado em Authorization: Bearer. Leva o
+// papel do usuário: uma troca de papel vale a partir do próximo token.
+const gerarAccessToken = (user) =>
+  assinar(
+    "access",
+    { nome: user.nome, email: user.email, papel: user.papel },
+    { subject: String(user._id), expiresIn: JWT_ACCESS_EXPIRES }
+  );
+
+// Refresh token: cada um tem um ID (jti) registrado no banco e pertence a uma
+// família (a sessão iniciada no login), usada para revogar a sessão inteira
+function gerarRefreshToken(user, familia) {
+  const jti = crypto.randomUUID();
+  return {
+    jti,
+    familia,
+    ...assinar(
+      "refresh",
+      { familia },
+      {
+        subject: String(user._id),
+        jwtid: jti,
+        expiresIn: JWT_REFRESH_EXPIRES,
+      }
+    ),
+  };
+}
+
+// Valida assinatura, validade e tipo do token (401 se inválido)
+function verificarToken(token, tipo) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), JWT_SECRET);
+  } catch (error) {
+    throw erroHttp(
+      401,
+      error.name === "TokenExpiredError" ? "Token expirado" : "Token inválido"
+    );
+  }
+
+  if (payload.tipo !== tipo) {
+    throw erroHttp(401, "Token inválido");
+  }
+  return payload;
+}
+
+// Exige um access token válido no cabeçalho Authorization. Os dados do
+// usuário e as permissões do seu papel ficam em req.usuarioAutenticado.
+function autenticar(req, res, next) {
+  const [esquema, token] = (req.get("authorization") || "").split(" ");
+
+  if (esquema !== "Bearer" || !token) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({
+      error: "Não autenticado",
+      details: "Envie o access token no cabeçalho Authorization: Bearer",
+    });
+  }
+
+  try {
+    const payload = verificarToken(token, "access");
+    req.usuarioAutenticado = {
+      id: payload.sub,
+      nome: payload.nome,
+      email: payload.email,
+      papel: payload.papel,
+      permissoes: permissoesDoPapel(payload.papel),
+    };
+    next();
+  } catch (error) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    res.status(401).json({ error: "Não autenticado", details: error.message });
+  }
+}
+
+module.exports = {
+  autenticar,
+  conferirSenha,
+  gerarAccessToken,
+  gerarRefreshToken,
+  hashSenha,
+  validarSenha,
+  verificarToken,
+};
@@ -0,0 +1,482 @@
+const erroHttp = require("./erroHttp");
+
+// Gramática comum dos parâmetros das listagens (GET /produtos, GET /usuarios),
+// traduzida para SQL (MySQL) ou filtro do MongoDB com o mesmo resultado:
+//
+//   q=tenis azul          cada termo precisa aparecer em algum campo de busca
+//   Preco[gte]=10         filtro com operador (sem operador: eq)
+//   Nome[like]=tenis      contém o texto (sem diferenciar maiúsculas)
+//   papel[in]=admin,editor
+//   sort=-Preco,Nome      ordenação ("-" decrescente), só nos campos permitidos
+//   fields=Nome,Preco     seleção dos campos retornados (o ID sempre vem)
+//   after=<cursor>        paginação por cursor (ver lerCursor)
+//
+// Cada listagem descreve seus campos em um esquema:
+//   id          - campo do ID (desempate da ordenação e sempre retornado)
+//   campos      - { nome: { tipo, ordenar, nulo } }, tipo texto | numero | booleano | data
+//                 (nulo: o campo aceita NULL, por isso não serve para cursor)
+//   busca       - campos usados no q
+//   exibicao    - campos guardados que só podem ser selecionados em fields
+//   virtuais    - campos calculados pela rota, aceitos só em fields
+//   ordemPadrao - ordenação sem sort (ex. "-createdAt")
+//   parametros  - outros parâmetros aceitos pela rota (page, limit...)
+
+const OPERADORES = {
+  texto: ["eq", "ne", "in", "nin", "like"],
+  numero: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin"],
+  data: ["eq", "ne", "gt", "gte", "lt", "lte"],
+  booleano: ["eq", "ne"],
+};
+
+const SQL_OPERADORES = {
+  eq: "=",
+  ne: "<>",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+};
+
+const BUSCA_MAX_TERMOS = 10;
+
+// Parâmetros da paginação por cursor, aceitos em todas as listagens
+const PARAMETROS_CURSOR = ["after", "before", "pagination", "includeTotal"];
+
+// Se a requisição usa a paginação por cursor (e não a de páginas)
+const modoCursor = (query) =>
+  query.after !== undefined ||
+  query.before !== undefined ||
+  query.pagination === "cursor";
+
+// Converte o valor do parâmetro para o tipo do campo
+function converterValor(valor, tipo, parametro) {
+  switch (tipo) {
+    case "numero": {
+      const numero = Number(valor);
+      if (valor === "" || isNaN(numero)) {
+        throw erroHttp(400, `${parametro} deve ser um número`);
+      }
+      return numero;
+    }
+    case "data": {
+      const data = new Date(valor);
+      if (valor === "" || isNaN(data)) {
+        throw erroHttp(400, `${parametro} deve ser uma data (ISO 8601)`);
+      }
+      return data;
+    }
+    case "booleano":
+      if (!["true", "false"].includes(valor)) {
+        throw erroHttp(400, `${parametro} deve ser true ou false`);
+      }
+      return valor === "true";
+    default:
+      return valor;
+  }
+}
+
+// Lista separada por vírgula, para sort, fields e os operadores in/nin
+const lerLista = (valor) =>
+  String(valor)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Definição de um campo do esquema. Só as chaves próprias contam: um parâmetro
+// como constructor não pode achar o que o objeto herda
+const definicaoDoCampo = (esquema, campo) =>
+  Object.hasOwn(esquema.campos, campo) ? esquema.campos[campo] : undefined;
+
+// Valida os parâmetros da requisição contra o esquema. Retorna
+// { busca, filtros: [{ campo, operador, valor }], ordem: [{ campo, direcao }], campos }
+function lerConsulta(query, esquema) {
+  const consulta = { busca: [], filtros: [], ordem: [], campos: null };
+  const reservados = [
+    "q",
+    "sort",
+    "fields",
+    "_", // Cache buster (ex. jQuery com cache: false)
+    ...PARAMETROS_CURSOR,
+    ...(esquema.parametros || []),
+  ];
+  // Na paginação por páginas, que clientes antigos já usavam, parâmetros
+  // desconhecidos são ignorados como antes; no modo cursor são recusados
+  const estrito = modoCursor(query);
+
+  for (const [parametro, bruto] of Object.entries(query)) {
+    if (Array.isArray(bruto)) {
+      throw erroHttp(400, `Parâmetro repetido: ${parametro}`);
+    }
+    if (reservados.includes(parametro)) continue;
+
+    const [, campo, operador = "eq"] =
+      /^(\w+)(?:\[(\w+)\])?$/.exec(parametro) || [];
+    const definicao = campo && definicaoDoCampo(esquema, campo);
+    if (!definicao && !estrito) continue;
+    if (!definicao) {
+      throw erroHttp(
+        400,
+        `Filtro desconhecido: ${parametro}. Campos aceitos: ${Object.keys(
+          esquema.campos
+        ).join(", ")}`
+      );
+    }
+    if (!OPERADORES[definicao.tipo].includes(operador)) {
+      throw erroHttp(
+        400,
+        `Operador ${operador} não é aceito em ${campo}. Operadores: ${OPERADORES[
+          definicao.tipo
+        ].join(", ")}`
+      );
+    }
+
+    const lista = ["in", "nin"].includes(operador);
+    if (lista && lerLista(bruto).length === 0) {
+      throw erroHttp(400, `${parametro} deve ter ao menos um valor`);
+    }
+    const valor = lista
+      ? lerLista(bruto).map((item) =>
+          converterValor(item, definicao.tipo, parametro)
+        )
+      : converterValor(bruto, definicao.tipo, parametro);
+    consulta.filtros.push({ campo, operador, valor });
+  }
+
+  if (query.q !== undefined) {
+    consulta.busca = String(query.q).trim().split(/\s+/).filter(Boolean);
+    if (consulta.busca.length > BUSCA_MAX_TERMOS) {
+      throw erroHttp(400, `q aceita no máximo ${BUSCA_MAX_TERMOS} termos`);
+    }
+  }
+
+  for (const item of lerLista(query.sort ?? esquema.ordemPadrao)) {
+    const campo = item.replace(/^[-+]/, "");
+    if (!definicaoDoCampo(esquema, campo)?.ordenar) {
+      throw erroHttp(
+        400,
+        `Não é possível ordenar por ${campo}. Campos aceitos: ${Object.keys(
+          esquema.campos
+        )
+          .filter((nome) => esquema.campos[nome].ordenar)
+          .join(", ")}`
+      );
+    }
+    consulta.ordem.push({ campo, direcao: item.startsWith("-") ? -1 : 1 });
+  }
+  // Desempate pelo ID, para a paginação não repetir nem pular registros
+  if (!consulta.ordem.some(({ campo }) => campo === esquema.id)) {
+    consulta.ordem.push({ campo: esquema.id, direcao: 1 });
+  }
+
+  if (query.fields !== undefined) {
+    const selecionaveis = [
+      ...Object.keys(esquema.campos),
+      ...(esquema.exibicao || []),
+      ...(esquema.virtuais || []),
+    ];
+    const campos = lerLista(query.fields);
+    const invalidos = campos.filter((campo) => !selecionaveis.includes(campo));
+    if (invalidos.length > 0) {
+      throw erroHttp(
+        400,
+        `Campos desconhecidos em fields: ${invalidos.join(", ")}`
+      );
+    }
+    consulta.campos = [...new Set([esquema.id, ...campos])];
+  }
+
+  return consulta;
+}
+
+// Se o campo (inclusive virtual) deve ser retornado
+const campoSelecionado = (consulta, campo) =>
+  !consulta.campos || consulta.campos.includes(campo);
+
+// Campos selecionados que existem no banco (sem os virtuais)
+const camposGuardados = (consulta, esquema) =>
+  consulta.campos.filter(
+    (campo) =>
+      definicaoDoCampo(esquema, campo) || esquema.exibicao?.includes(campo)
+  );
+
+const escaparLike = (texto) => texto.replace(/[\\%_]/g, "\\$&");
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Tradução para o MySQL: condições do WHERE (com seus valores), ORDER BY e
+// colunas do SELECT. Os nomes das colunas vêm do esquema, nunca da requisição.
+function consultaSql(consulta, esquema) {
+  const condicoes = [];
+  const valores = [];
+
+  for (const termo of consulta.busca) {
+    condicoes.push(
+      `(${esquema.busca.map((campo) => `${campo} LIKE ?`).join(" OR ")})`
+    );
+    esquema.busca.forEach(() => valores.push(`%${escaparLike(termo)}%`));
+  }
+
+  for (const { campo, operador, valor } of consulta.filtros) {
+    if (operador === "like") {
+      condicoes.push(`${campo} LIKE ?`);
+      valores.push(`%${escaparLike(valor)}%`);
+    } else if (operador === "in" || operador === "nin") {
+      condicoes.push(`${campo} ${operador === "in" ? "IN" : "NOT IN"} (?)`);
+      valores.push(valor);
+    } else {
+      condicoes.push(`${campo} ${SQL_OPERADORES[operador]} ?`);
+      valores.push(valor);
+    }
+  }
+
+  const colunas = consulta.campos
+    ? camposGuardados(consulta, esquema).join(", ")
+    : "*";
+  const orderBy = consulta.ordem
+    .map(({ campo, direcao }) => `${campo} ${direcao < 0 ? "DESC" : "ASC"}`)
+    .join(", ");
+
+  return { condicoes, valores, colunas, orderBy };
+}
+
+// Texto exato sem diferenciar maiúsculas, como na collation padrão do MySQL
+const textoExato = (texto) => new RegExp(`^${escaparRegex(texto)}$`, "i");
+
+// Tradução para o MongoDB: filtro, ordenação e projeção
+function consultaMongo(consulta, esquema) {
+  const condicoes = [];
+
+  for (const termo of consulta.busca) {
+    const regex = new RegExp(escaparRegex(termo), "i");
+    condicoes.push({ $or: esquema.busca.map((campo) => ({ [campo]: regex })) });
+  }
+
+  for (const { campo, operador, valor } of consulta.filtros) {
+    const texto = esquema.campos[campo].tipo === "texto";
+    const normalizar = (item) => (texto ? textoExato(item) : item);
+
+    let condicao;
+    switch (operador) {
+      case "like":
+        condicao = new RegExp(escaparRegex(valor), "i");
+        break;
+      case "eq":
+        condicao = normalizar(valor);
+        break;
+      case "ne":
+        condicao = texto ? { $not: textoExato(valor) } : { $ne: valor };
+        break;
+      case "in":
+      case "nin":
+        condicao = { [`$${operador}`]: valor.map(normalizar) };
+        break;
+      default:
+        condicao = { [`$${operador}`]: valor };
+    }
+    condicoes.push({ [campo]: condicao });
+  }
+
+  const projecao = consulta.campos
+    ? Object.fromEntries(
+        camposGuardados(consulta, esquema).map((campo) => [campo, 1])
+      )
+    : undefined;
+
+  return {
+    filtro: condicoes.length > 0 ? { $and: condicoes } : {},
+    ordem: Object.fromEntries(
+      consulta.ordem.map(({ campo, direcao }) => [campo, direcao])
+    ),
+    projecao,
+  };
+}
+
+// Paginação por cursor (keyset): em vez de pular registros com OFFSET/skip, a
+// página seguinte começa depois do último registro da atual, comparando os
+// campos da ordenação. O custo não cresce com a página e inserções durante a
+// navegação não repetem nem pulam registros.
+//
+//   pagination=cursor     primeira página no modo cursor
+//   after=<nextCursor>    página seguinte
+//   before=<prevCursor>   página anterior (before vazio: última página)
+//
+// O cursor é opaco para o cliente: base64url do JSON com a ordenação e os
+// valores dos campos dela no registro de referência. Ele só vale para a mesma
+// ordenação (sort); os filtros podem mudar entre as páginas.
+
+const assinaturaOrdem = (consulta) =>
+  consulta.ordem
+    .map(({ campo, direcao }) => `${direcao < 0 ? "-" : ""}${campo}`)
+    .join(",");
+
+// Lê o modo cursor da requisição. Retorna null no modo de páginas (offset) ou
+// { direcao: "after" | "before", valores } com os valores do registro de
+// referência (null na primeira ou na última página). No modo cursor os campos
+// da ordenação passam a ser sempre retornados, para gerar os próximos cursores.
+function lerCursor(query, consulta, esquema) {
+  const { after, before, pagination } = query;
+  if (after === undefined && before === undefined) {
+    if (pagination === undefined || pagination === "offset") return null;
+    if (pagination !== "cursor") {
+      throw erroHttp(400, "pagination deve ser offset ou cursor");
+    }
+  }
+  if (after !== undefined && before !== undefined) {
+    throw erroHttp(400, "Use after ou before, não os dois");
+  }
+  if (query.page !== undefined) {
+    throw erroHttp(400, "page não é aceito na paginação por cursor");
+  }
+  if (
+    query.includeTotal !== undefined &&
+    !["true", "false"].includes(query.includeTotal)
+  ) {
+    throw erroHttp(400, "includeTotal deve ser true ou false");
+  }
+
+  const nulos = consulta.ordem.filter(
+    ({ campo }) => esquema.campos[campo]?.nulo
+  );
+  if (nulos.length > 0) {
+    throw erroHttp(
+      400,
+      `A paginação por cursor não aceita ordenar por ${nulos
+        .map(({ campo }) => campo)
+        .join(", ")}`
+    );
+  }
+
+  if (consulta.campos) {
+    const ordem = consulta.ordem.map(({ campo }) => campo);
+    consulta.campos = [...new Set([...consulta.campos, ...ordem])];
+  }
+
+  const direcao = before !== undefined ? "before" : "after";
+  const bruto = direcao === "before" ? before : after;
+  if (!bruto) return { direcao, valores: null };
+
+  let dados;
+  try {
+    dados = JSON.parse(Buffer.from(String(bruto), "base64url").toString());
+  } catch {
+    dados = null;
+  }
+  if (
+    !Array.isArray(dados?.v) ||
+    dados.v.length !== consulta.ordem.length ||
+    dados.v.some((valor) => valor === null || typeof valor === "object")
+  ) {
+    throw erroHttp(400, "Cursor inválido");
+  }
+  if (dados.s !== assinaturaOrdem(consulta)) {
+    throw erroHttp(
+      400,
+      "O cursor foi gerado com outra ordenação, repita o mesmo sort"
+    );
+  }
+
+  const valores = consulta.ordem.map(({ campo }, i) => {
+    if (esquema.campos[campo]?.tipo !== "data") return dados.v[i];
+    const data = new Date(dados.v[i]);
+    if (isNaN(data)) throw erroHttp(400, "Cursor inválido");
+    return data;
+  });
+  return { direcao, valores };
+}
+
+// Cursor que aponta para o registro
+const gerarCursor = (registro, consulta) =>
+  Buffer.from(
+    JSON.stringify({
+      s: assinaturaOrdem(consulta),
+      v: consulta.ordem.map(({ campo }) => registro[campo]),
+    })
+  ).toString("base64url");
+
+// Ordem da consulta ao banco: com before, a busca anda para trás a partir do
+// cursor e o resultado é invertido depois (paginarCursor)
+const ordemCursor = (consulta, cursor) =>
+  consulta.ordem.map(({ campo, direcao }) => ({
+    campo,
+    direcao: cursor.direcao === "before" ? -direcao : direcao,
+  }));
+
+// Condição do keyset no MySQL e ORDER BY da consulta. Para a ordem (a, b):
+//   a > ? OR (a = ? AND b > ?)
+function cursorSql(consulta, cursor) {
+  const ordem = ordemCursor(consulta, cursor);
+  const orderBy = ordem
+    .map(({ campo, direcao }) => `${campo} ${direcao < 0 ? "DESC" : "ASC"}`)
+    .join(", ");
+  if (!cursor.valores) return { condicoes: [], valores: [], orderBy };
+
+  const alternativas = [];
+  const valores = [];
+  ordem.forEach(({ campo, direcao }, i) => {
+    const iguais = ordem.slice(0, i).map((anterior) => `${anterior.campo} = ?`);
+    alternativas.push(
+      `(${[...iguais, `${campo} ${direcao < 0 ? "<" : ">"} ?`].join(" AND ")})`
+    );
+    valores.push(...cursor.valores.slice(0, i + 1));
+  });
+  return {
+    condicoes: [`(${alternativas.join(" OR ")})`],
+    valores,
+    orderBy,
+  };
+}
+
+// Condição do keyset no MongoDB (somada ao filtro) e ordenação da consulta
+function cursorMongo(consulta, cursor) {
+  const ordem = ordemCursor(consulta, cursor);
+  const ordenacao = Object.fromEntries(
+    ordem.map(({ campo, direcao }) => [campo, direcao])
+  );
+  if (!cursor.valores) return { filtro: {}, ordem: ordenacao };
+
+  const alternativas = ordem.map(({ campo, direcao }, i) => ({
+    ...Object.fromEntries(
+      ordem
+        .slice(0, i)
+        .map((anterior, j) => [anterior.campo, cursor.valores[j]])
+    ),
+    [campo]: { [direcao < 0 ? "$lt" : "$gt"]: cursor.valores[i] },
+  }));
+  return { filtro: { $or: alternativas }, ordem: ordenacao };
+}
+
+// Monta a página a partir dos registros buscados com limit + 1 (o registro a
+// mais indica se há outra página na direção da busca). Retorna os registros
+// na ordem pedida e { limit, hasNext, hasPrev, nextCursor, prevCursor }.
+function paginarCursor(registros, limit, cursor, consulta) {
+  const itens = registros.slice(0, limit);
+  const mais = registros.length > limit;
+  if (cursor.direcao === "before") itens.reverse();
+
+  // Quem veio de um cursor sabe que existe o registro do outro lado dele
+  const hasNext = cursor.direcao === "after" ? mais : !!cursor.valores;
+  const hasPrev = cursor.direcao === "before" ? mais : !!cursor.valores;
+  const primeiro = itens[0];
+  const ultimo = itens[itens.length - 1];
+
+  return {
+    itens,
+    pagination: {
+      limit,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && ultimo ? gerarCursor(ultimo, consulta) : null,
+      prevCursor: hasPrev && primeiro ? gerarCursor(primeiro, consulta) : null,
+    },
+  };
+}
+
+module.exports = {
+  campoSelecionado,
+  consultaMongo,
+  consultaSql,
+  cursorMongo,
+  cursorSql,
+  lerConsulta,
+  lerCursor,
+  paginarCursor,
+};
@@ -0,0 +1,8 @@
+// Erro com status HTTP, para ser respondido pela rota com o status correspondente
+function erroHttp(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = erroHttp;
@@ -0,0 +1,205 @@
+const path = require("path");
+const sharp = require("sharp");
+const erroHttp = require("./erroHttp");
+
+// Tipos de imagem que geram derivados (formatos de entrada suportados pelo sharp)
+const TIPOS_IMAGEM = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+  "image/tiff",
+];
+
+// Formatos de saída aceitos e o Content-Type de cada um
+const FORMATOS = {
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  avif: "image/avif",
+};
+const AJUSTES = ["cover", "contain", "inside", "outside", "fill"];
+const DIMENSAO_MAXIMA = 4096;
+
+// Imagens maiores que isso não geram derivados (o original é carregado em memória)
+const IMAGEM_MAX_SIZE =
+  (parseInt(process.env.IMAGE_MAX_SIZE_MB) || 50) * 1024 * 1024;
+
+// Variantes geradas no upload. Exemplo de IMAGE_DERIVATIVES:
+//   {"thumb": {"width": 200, "height": 200, "fit": "cover"},
+//    "grande": {"width": 1600, "format": "jpeg", "quality": 85}}
+const DERIVADOS = (() => {
+  const padrao = {
+    thumb: { width: 200, height: 200, fit: "cover", format: "webp" },
+    medio: { width: 800, format: "webp" },
+  };
+  if (!process.env.IMAGE_DERIVATIVES) return padrao;
+  try {
+    return JSON.parse(process.env.IMAGE_DERIVATIVES);
+  } catch (error) {
+    console.error("IMAGE_DERIVATIVES inválido, usando o padrão:", error);
+    return padrao;
+  }
+})();
+
+const lerInteiro = (valor, nome, minimo, maximo) => {
+  if (valor === undefined || valor === null || valor === "") return undefined;
+
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < minimo || numero > maximo) {
+    throw erroHttp(
+      400,
+      `${nome} deve ser um inteiro entre ${minimo} e ${maximo}`
+    );
+  }
+  return numero;
+};
+
+// Valida e completa as opções de um derivado: largura e/ou altura, ajuste,
+// formato (webp por padrão) e qualidade
+function lerOpcoesDerivado(opcoes = {}) {
+  const width = lerInteiro(opcoes.width, "width", 1, DIMENSAO_MAXIMA);
+  const height = lerInteiro(opcoes.height, "height", 1, DIMENSAO_MAXIMA);
+  if (!width && !height) {
+    throw erroHttp(400, "Informe width e/ou height");
+  }
+
+  // Com as duas dimensões o padrão é recortar; com uma só, manter a proporção
+  const fit = opcoes.fit || (width && height ? "cover" : "inside");
+  if (!AJUSTES.includes(fit)) {
+    throw erroHttp(400, `fit deve ser um dos valores: ${AJUSTES.join(", ")}`);
+  }
+
+  const format = String(opcoes.format || "webp").toLowerCase();
+  if (!FORMATOS[format]) {
+    throw erroHttp(
+      400,
+      `format deve ser um dos valores: ${Object.keys(FORMATOS).join(", ")}`
+    );
+  }
+
+  const quality = lerInteiro(opcoes.quality, "quality", 1, 100) || 80;
+  return { width, height, fit, format, quality };
+}
+
+// Variantes pedidas no upload: true (todas as configuradas), lista de nomes
+// ("thumb,medio") ou false / ausente (nenhuma)
+function variantesSolicitadas(valor) {
+  if (valor === undefined || valor === false || valor === "false") return null;
+  if (valor === true || valor === "true") return DERIVADOS;
+
+  const nomes = (Array.isArray(valor) ? valor : String(valor).split(","))
+    .map((nome) => String(nome).trim())
+    .filter(Boolean);
+  const desconhecidas = nomes.filter((nome) => !DERIVADOS[nome]);
+  if (desconhecidas.length > 0) {
+    throw erroHttp(
+      400,
+      `Derivados desconhecidos: ${desconhecidas.join(", ")}. ` +
+        `Disponíveis: ${Object.keys(DERIVADOS).join(", ")}`
+    );
+  }
+  return nomes.length
+    ? Object.fromEntries(nomes.map((nome) => [nome, DERIVADOS[nome]]))
+    : null;
+}
+
+// Pasta dos derivados de um objeto, ao lado do original:
+//   produtos/foto.jpg -> produtos/_derivados/foto.jpg/
+function prefixoDerivados(key) {
+  const pasta = path.posix.dirname(key);
+  const base = path.posix.basename(key);
+  return `${pasta === "." ? "" : pasta + "/"}_derivados/${base}/`;
+}
+
+// Nome padrão de um derivado sob demanda (ex. 300x200, 300xauto)
+const nomeDerivado = ({ width, height }) =>
+  `${width || "auto"}x${height || "auto"}`;
+
+const ehImagem = (contentType) => TIPOS_IMAGEM.includes(contentType);
+
+// Lê a imagem original do S3 e grava um objeto para cada variante em
+// prefixoDerivados(key). leitura recebe parâmetros extras do getObject (ex. a
+// chave SSE-C). Os derivados são gravados com a criptografia do original: a
+// mesma SSE-S3/SSE-KMS ou, para SSE-C, a chave de leitura.
+async function gerarDerivados(s3, { bucket, key, variantes, leitura = {} }) {
+  const head = await s3
+    .headObject({ Bucket: bucket, Key: key, ...leitura })
+    .promise();
+  const gravacao = head.SSECustomerAlgorithm
+    ? leitura
+    : {
+        ...(head.ServerSideEncryption && {
+          ServerSideEncryption: head.ServerSideEncryption,
+        }),
+        ...(head.SSEKMSKeyId && { SSEKMSKeyId: head.SSEKMSKeyId }),
+      };
+
+  if (!ehImagem(head.ContentType)) {
+    throw erroHttp(415, `O arquivo não é uma imagem: ${head.ContentType}`);
+  }
+  if (head.ContentLength > IMAGEM_MAX_SIZE) {
+    throw erroHttp(
+      413,
+      `Imagem excede o tamanho máximo de ${IMAGEM_MAX_SIZE} bytes para gerar derivados`
+    );
+  }
+
+  const original = await s3
+    .getObject({ Bucket: bucket, Key: key, ...leitura })
+    .promise();
+  const prefixo = prefixoDerivados(key);
+  const derivados = [];
+
+  // Uma variante por vez para limitar o uso de memória e CPU
+  for (const [nome, opcoes] of Object.entries(variantes)) {
+    const { width, height, fit, format, quality } = lerOpcoesDerivado(opcoes);
+
+    let imagem;
+    try {
+      imagem = await sharp(original.Body)
+        .rotate() // Aplica a orientação EXIF antes de redimensionar
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .toFormat(format, { quality })
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      throw erroHttp(
+        422,
+        `Não foi possível processar a imagem: ${error.message}`
+      );
+    }
+
+    const derivadoKey = `${prefixo}${nome}.${format}`;
+    await s3
+      .putObject({
+        Bucket: bucket,
+        Key: derivadoKey,
+        Body: imagem.data,
+        ContentType: FORMATOS[format],
+        ...gravacao,
+      })
+      .promise();
+
+    derivados.push({
+      name: nome,
+      key: derivadoKey,
+      width: imagem.info.width,
+      height: imagem.info.height,
+      format,
+      contentType: FORMATOS[format],
+      size: imagem.info.size,
+    });
+  }
+
+  return derivados;
+}
+
+module.exports = {
+  ehImagem,
+  gerarDerivados,
+  lerOpcoesDerivado,
+  nomeDerivado,
+  prefixoDerivados,
+  variantesSolicitadas,
+};
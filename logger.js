@@ -61,7 +61,7 @@ async function enviarLogCloudWatch(message) {
 
 //Logar informação
 async function logInfo(message, req, extra = {}) {
-    const log = gerarLog('info', message, req.originalUrl, extra);
+    const log = gerarLog('info', message, req?.originalUrl, extra);
 
     await enviarLogCloudWatch(log);
 }
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2/promise");
+
+// Migrações do MySQL. Cada arquivo em migrations/ exporta up(conexao) e
+// down(conexao) e é aplicado em ordem de nome (0001_..., 0002_...). As
+// migrações aplicadas ficam registradas na tabela schema_migracoes.
+//
+// O MySQL confirma DDL (CREATE, ALTER, DROP) na hora, sem transação: uma
+// migração com vários comandos que falhe no meio precisa ser corrigida à mão.
+// Por isso prefira um comando de DDL por migração.
+
+const DB_NAME = process.env.DB_NAME || "api_aws_db";
+const PASTA_MIGRACOES = path.join(__dirname, "migrations");
+const TABELA = "schema_migracoes";
+
+// Conexão usada pelo servidor (pool) e pela CLI (migrate.js), já com o banco
+const CONFIG_MYSQL = {
+  host: process.env.DB_HOST || "localhost",
+  port: process.env.DB_PORT || 3306,
+  user: process.env.DB_USER || "root",
+  password: process.env.DB_PASSWORD || "",
+  database: DB_NAME,
+};
+
+// Tempo máximo esperando outra instância terminar de migrar (segundos)
+const LOCK_TIMEOUT = 60;
+
+// Arquivos de migração em ordem
+function listarArquivos() {
+  return fs
+    .readdirSync(PASTA_MIGRACOES)
+    .filter((arquivo) => /^\d+_[\w-]+\.js$/.test(arquivo))
+    .sort()
+    .map((arquivo) => ({
+      nome: path.basename(arquivo, ".js"),
+      ...require(path.join(PASTA_MIGRACOES, arquivo)),
+    }));
+}
+
+// Cria o banco, se não existir. Usa uma conexão própria, sem banco: as do pool
+// já abrem no DB_NAME e falham enquanto ele não existe.
+async function criarBanco() {
+  const { database, ...config } = CONFIG_MYSQL;
+  const conexao = await mysql.createConnection(config);
+  try {
+    await conexao.query(`CREATE DATABASE IF NOT EXISTS \`${database}\``);
+  } finally {
+    await conexao.end();
+  }
+}
+
+// Cria a tabela de controle, se não existir
+async function prepararTabela(conexao) {
+  await conexao.query(`CREATE TABLE IF NOT EXISTS ${TABELA} (
+    Nome VARCHAR(255) PRIMARY KEY,
+    executadaEm TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+  )`);
+}
+
+async function listarAplicadas(conexao) {
+  const [linhas] = await conexao.query(
+    `SELECT Nome, executadaEm FROM ${TABELA} ORDER BY Nome`
+  );
+  return linhas;
+}
+
+// Executa fn com uma conexão exclusiva e o lock de migração, para que dois
+// containers subindo juntos não apliquem a mesma migração
+async function comLock(pool, fn) {
+  await criarBanco();
+  const conexao = await pool.getConnection();
+  try {
+    const [[{ obtido }]] = await conexao.query(
+      "SELECT GET_LOCK(?, ?) AS obtido",
+      [`${DB_NAME}.migracoes`, LOCK_TIMEOUT]
+    );
+    if (obtido !== 1) {
+      throw new Error(
+        "Não foi possível obter o lock de migração: outra instância está migrando"
+      );
+    }
+
+    try {
+      await prepararTabela(conexao);
+      return await fn(conexao);
+    } finally {
+      await conexao.query("SELECT RELEASE_LOCK(?)", [`${DB_NAME}.migracoes`]);
+    }
+  } finally {
+    conexao.release();
+  }
+}
+
+// Situação de cada migração: aplicada ou pendente. Migrações registradas no
+// banco cujo arquivo não existe mais aparecem com ausente: true.
+async function statusMigracoes(pool) {
+  return comLock(pool, async (conexao) => {
+    const aplicadas = new Map(
+      (await listarAplicadas(conexao)).map((linha) => [
+        linha.Nome,
+        linha.executadaEm,
+      ])
+    );
+    const arquivos = listarArquivos();
+
+    const status = arquivos.map(({ nome }) => ({
+      nome,
+      aplicada: aplicadas.has(nome),
+      executadaEm: aplicadas.get(nome) || null,
+    }));
+    for (const [nome, executadaEm] of aplicadas) {
+      if (!arquivos.some((arquivo) => arquivo.nome === nome)) {
+        status.push({ nome, aplicada: true, executadaEm, ausente: true });
+      }
+    }
+    return status.sort((a, b) => a.nome.localeCompare(b.nome));
+  });
+}
+
+// Aplica as migrações pendentes em ordem (até a migração "ate", se informada).
+// Retorna os nomes das migrações aplicadas.
+async function migrarUp(pool, { ate } = {}) {
+  return comLock(pool, async (conexao) => {
+    const aplicadas = new Set(
+      (await listarAplicadas(conexao)).map((linha) => linha.Nome)
+    );
+    const arquivos = listarArquivos();
+    if (ate && !arquivos.some(({ nome }) => nome === ate)) {
+      throw new Error(`Migração não encontrada: ${ate}`);
+    }
+
+    const executadas = [];
+    for (const migracao of arquivos) {
+      if (!aplicadas.has(migracao.nome)) {
+        await migracao.up(conexao);
+        await conexao.query(`INSERT INTO ${TABELA} (Nome) VALUES (?)`, [
+          migracao.nome,
+        ]);
+        executadas.push(migracao.nome);
+      }
+      if (migracao.nome === ate) break;
+    }
+    return executadas;
+  });
+}
+
+// Reverte as últimas migrações aplicadas (1 por padrão). Retorna os nomes das
+// migrações revertidas.
+async function migrarDown(pool, { passos = 1 } = {}) {
+  return comLock(pool, async (conexao) => {
+    const arquivos = listarArquivos();
+    const ultimas = (await listarAplicadas(conexao)).reverse().slice(0, passos);
+
+    const revertidas = [];
+    for (const { Nome } of ultimas) {
+      const migracao = arquivos.find(({ nome }) => nome === Nome);
+      if (!migracao) {
+        throw new Error(`Arquivo da migração ${Nome} não encontrado`);
+      }
+
+      await migracao.down(conexao);
+      await conexao.query(`DELETE FROM ${TABELA} WHERE Nome = ?`, [Nome]);
+      revertidas.push(Nome);
+    }
+    return revertidas;
+  });
+}
+
+// Cria um arquivo de migração vazio com o próximo número da sequência
+function criarMigracao(descricao) {
+  const slug = String(descricao)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Remove os acentos
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+  if (!slug) throw new Error("Informe a descrição da migração");
+
+  const ultima = listarArquivos().pop();
+  const numero = String((ultima ? parseInt(ultima.nome) : 0) + 1).padStart(
+    4,
+    "0"
+  );
+  const arquivo = path.join(PASTA_MIGRACOES, `${numero}_${slug}.js`);
+
+  fs.writeFileSync(
+    arquivo,
+    `module.exports = {
+  async up(conexao) {
+    await conexao.query(\`\`);
+  },
+
+  async down(conexao) {
+    await conexao.query(\`\`);
+  },
+};
+`
+  );
+  return arquivo;
+}
+
+module.exports = {
+  CONFIG_MYSQL,
+  DB_NAME,
+  criarMigracao,
+  migrarDown,
+  migrarUp,
+  statusMigracoes,
+};
@@ -0,0 +1,76 @@
+// CLI das migrações do MySQL (ver migracoes.js):
+//   npm run migrate -- up [--to 0003_nome]   aplica as pendentes (até a informada)
+//   npm run migrate -- down [--steps 2]      reverte as últimas (1 por padrão)
+//   npm run migrate -- status                lista aplicadas e pendentes
+//   npm run migrate -- create <descrição>    cria um arquivo de migração
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  CONFIG_MYSQL,
+  criarMigracao,
+  migrarDown,
+  migrarUp,
+  statusMigracoes,
+} = require("./migracoes");
+
+const [comando, ...args] = process.argv.slice(2);
+
+// Valor de uma opção (--to nome)
+const opcao = (nome) => {
+  const indice = args.indexOf(`--${nome}`);
+  return indice >= 0 ? args[indice + 1] : undefined;
+};
+
+async function executar(pool) {
+  switch (comando) {
+    case "up": {
+      const aplicadas = await migrarUp(pool, { ate: opcao("to") });
+      if (aplicadas.length === 0) console.log("Nenhuma migração pendente");
+      aplicadas.forEach((nome) => console.log(`Aplicada: ${nome}`));
+      break;
+    }
+    case "down": {
+      const passos = parseInt(opcao("steps") || 1);
+      if (!Number.isInteger(passos) || passos < 1) {
+        throw new Error("--steps deve ser um inteiro maior que 0");
+      }
+      const revertidas = await migrarDown(pool, { passos });
+      if (revertidas.length === 0) console.log("Nenhuma migração aplicada");
+      revertidas.forEach((nome) => console.log(`Revertida: ${nome}`));
+      break;
+    }
+    case "status": {
+      const status = await statusMigracoes(pool);
+      status.forEach(({ nome, aplicada, executadaEm, ausente }) =>
+        console.log(
+          `${aplicada ? "aplicada " : "pendente "} ${nome}` +
+            (executadaEm ? `  (${executadaEm.toISOString()})` : "") +
+            (ausente ? "  [arquivo não encontrado]" : "")
+        )
+      );
+      break;
+    }
+    default:
+      console.error("Uso: npm run migrate -- <up|down|status|create>");
+      process.exitCode = 1;
+  }
+}
+
+async function main() {
+  if (comando === "create") {
+    console.log(`Criada: ${criarMigracao(args.join(" "))}`);
+    return;
+  }
+
+  const pool = mysql.createPool({ ...CONFIG_MYSQL, connectionLimit: 1 });
+  try {
+    await executar(pool);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error("Erro na migração:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,17 @@
+// IF NOT EXISTS: bancos criados pelo antigo POST /init-db já têm a tabela
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`CREATE TABLE IF NOT EXISTS produto (
+      Id INT AUTO_INCREMENT PRIMARY KEY,
+      Nome VARCHAR(255) NOT NULL,
+      Descricao VARCHAR(255) NOT NULL,
+      Preco DECIMAL(10,2) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(conexao) {
+    await conexao.query("DROP TABLE IF EXISTS produto");
+  },
+};
@@ -0,0 +1,23 @@
+// Imagens e anexos dos produtos, guardados no S3
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`CREATE TABLE IF NOT EXISTS produto_midia (
+      Id INT AUTO_INCREMENT PRIMARY KEY,
+      ProdutoId INT NOT NULL,
+      Bucket VARCHAR(63) NOT NULL,
+      Chave VARCHAR(1024) NOT NULL,
+      NomeArquivo VARCHAR(255) NOT NULL,
+      ContentType VARCHAR(255) NOT NULL,
+      Tamanho BIGINT NOT NULL,
+      Ordem INT NOT NULL DEFAULT 0,
+      Principal BOOLEAN NOT NULL DEFAULT FALSE,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_produto_midia_produto (ProdutoId, Ordem),
+      FOREIGN KEY (ProdutoId) REFERENCES produto(Id) ON DELETE CASCADE
+    )`);
+  },
+
+  async down(conexao) {
+    await conexao.query("DROP TABLE IF EXISTS produto_midia");
+  },
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`CREATE TABLE categoria (
+      Id INT AUTO_INCREMENT PRIMARY KEY,
+      Nome VARCHAR(100) NOT NULL,
+      Descricao VARCHAR(255) NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE INDEX uq_categoria_nome (Nome)
+    )`);
+  },
+
+  async down(conexao) {
+    await conexao.query("DROP TABLE categoria");
+  },
+};
@@ -0,0 +1,17 @@
+// Um produto pode estar em várias categorias
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`CREATE TABLE produto_categoria (
+      ProdutoId INT NOT NULL,
+      CategoriaId INT NOT NULL,
+      PRIMARY KEY (ProdutoId, CategoriaId),
+      INDEX idx_produto_categoria_categoria (CategoriaId, ProdutoId),
+      FOREIGN KEY (ProdutoId) REFERENCES produto(Id) ON DELETE CASCADE,
+      FOREIGN KEY (CategoriaId) REFERENCES categoria(Id) ON DELETE CASCADE
+    )`);
+  },
+
+  async down(conexao) {
+    await conexao.query("DROP TABLE produto_categoria");
+  },
+};
@@ -0,0 +1,21 @@
+// SKU é opcional para os produtos já cadastrados (o índice único aceita
+// vários NULL). Os índices atendem aos filtros de GET /produtos.
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`ALTER TABLE produto
+      ADD COLUMN SKU VARCHAR(64) NULL AFTER Id,
+      ADD COLUMN Estoque INT NOT NULL DEFAULT 0 AFTER Preco,
+      ADD COLUMN Ativo BOOLEAN NOT NULL DEFAULT TRUE AFTER Estoque,
+      ADD UNIQUE INDEX uq_produto_sku (SKU),
+      ADD INDEX idx_produto_ativo_preco (Ativo, Preco)`);
+  },
+
+  async down(conexao) {
+    await conexao.query(`ALTER TABLE produto
+      DROP INDEX idx_produto_ativo_preco,
+      DROP INDEX uq_produto_sku,
+      DROP COLUMN Ativo,
+      DROP COLUMN Estoque,
+      DROP COLUMN SKU`);
+  },
+};
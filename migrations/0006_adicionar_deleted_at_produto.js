@@ -0,0 +1,15 @@
+// Exclusão lógica: produtos com deletedAt preenchido estão na lixeira. O
+// índice atende às listagens (deletedAt IS NULL) e à limpeza da lixeira.
+module.exports = {
+  async up(conexao) {
+    await conexao.query(`ALTER TABLE produto
+      ADD COLUMN deletedAt TIMESTAMP NULL DEFAULT NULL AFTER updatedAt,
+      ADD INDEX idx_produto_deleted_at (deletedAt)`);
+  },
+
+  async down(conexao) {
+    await conexao.query(`ALTER TABLE produto
+      DROP INDEX idx_produto_deleted_at,
+      DROP COLUMN deletedAt`);
+  },
+};
@@ -0,0 +1,146 @@
+const erroHttp = require("./erroHttp");
+
+// Permissões no formato "<recurso>:<ação>", com "*" como curinga ("*" ou
+// "produtos:*"). No S3 a permissão pode ser restrita a um bucket ou a um
+// prefixo de chaves: "s3:write:meu-bucket" ou "s3:write:meu-bucket/uploads/team-x/*".
+//
+//   usuarios:read | write | delete | admin (alterar o papel dos usuários e
+//            remover definitivamente)
+//   produtos:read | write | delete | admin (remover definitivamente)
+//   s3:read | write | delete | admin (criar/remover buckets e alterar configurações)
+//   db:init (POST /init-db)
+//   apikeys:read | write (gerenciar as API keys)
+const ACOES = {
+  usuarios: ["read", "write", "delete", "admin"],
+  produtos: ["read", "write", "delete", "admin"],
+  s3: ["read", "write", "delete", "admin"],
+  db: ["init"],
+  apikeys: ["read", "write"],
+};
+
+const PAPEIS_PADRAO = {
+  admin: ["*"],
+  editor: [
+    "usuarios:read",
+    "produtos:read",
+    "produtos:write",
+    "s3:read",
+    "s3:write",
+  ],
+  viewer: ["usuarios:read", "produtos:read", "s3:read"],
+};
+
+// Papéis extras ou que substituem os padrão. Exemplo de RBAC_ROLES:
+//   {"team-x": ["produtos:read", "s3:read:arquivos/uploads/team-x/*",
+//               "s3:write:arquivos/uploads/team-x/*"]}
+const PAPEIS = (() => {
+  if (!process.env.RBAC_ROLES) return PAPEIS_PADRAO;
+  try {
+    return { ...PAPEIS_PADRAO, ...JSON.parse(process.env.RBAC_ROLES) };
+  } catch (error) {
+    console.error("RBAC_ROLES inválido, usando os papéis padrão:", error);
+    return PAPEIS_PADRAO;
+  }
+})();
+
+// Papel dos novos cadastros
+const PAPEL_PADRAO = process.env.RBAC_DEFAULT_ROLE || "viewer";
+
+const papelExiste = (papel) => Object.keys(PAPEIS).includes(papel);
+const permissoesDoPapel = (papel) => (papelExiste(papel) ? PAPEIS[papel] : []);
+
+// Separa "s3:write:bucket/prefixo/*" em recurso, ação e escopo
+function lerPermissao(permissao) {
+  const [recurso, acao = "*", ...escopo] = String(permissao).split(":");
+  return { recurso, acao, escopo: escopo.join(":") };
+}
+
+// Confere se a permissão existe no catálogo (usado nos escopos das API keys).
+// Só as permissões do S3 aceitam escopo.
+function permissaoValida(permissao) {
+  const { recurso, acao, escopo } = lerPermissao(permissao);
+  if (recurso === "*") return acao === "*" && !escopo;
+  if (!ACOES[recurso]) return false;
+  if (acao !== "*" && !ACOES[recurso].includes(acao)) return false;
+  return !escopo || recurso === "s3";
+}
+
+// Se quem tem as permissões pode repassar a permissão (ex. a uma API key):
+// ninguém concede mais do que tem
+function podeConceder(permissoes, permissao) {
+  const { recurso, acao, escopo } = lerPermissao(permissao);
+  return pode(permissoes, `${recurso}:${acao}`, escopo || undefined);
+}
+
+// O alvo é "bucket", "bucket/chave" ou "bucket/prefixo/". Um escopo só com o
+// bucket cobre o bucket inteiro; com "*" no fim, as chaves que começam com o
+// prefixo; sem "*", a chave exata ou a "pasta" com esse nome.
+// Com prefixo, o alvo é um prefixo de listagem ou remoção, que o S3 compara
+// como texto: "uploads/team-x" também alcança "uploads/team-xyz/...". Por isso
+// a pasta só cobre prefixos que começam com "<pasta>/".
+function escopoCobre(escopo, alvo, prefixo = false) {
+  if (!escopo || escopo === "*") return true;
+  if (alvo === undefined) return false;
+
+  if (escopo.endsWith("*")) return alvo.startsWith(escopo.slice(0, -1));
+  return (
+    (!prefixo && alvo === escopo) ||
+    alvo.startsWith(escopo.endsWith("/") ? escopo : escopo + "/")
+  );
+}
+
+// Se alguma das permissões concedidas cobre a permissão pedida no alvo. Com
+// prefixo, o alvo é "bucket/prefixo" de uma listagem ou remoção por prefixo.
+function pode(permissoes, permissao, alvo, { prefixo = false } = {}) {
+  const pedida = lerPermissao(permissao);
+  return permissoes.some((concedida) => {
+    const { recurso, acao, escopo } = lerPermissao(concedida);
+    return (
+      (recurso === "*" || recurso === pedida.recurso) &&
+      (acao === "*" || acao === pedida.acao) &&
+      escopoCobre(escopo, alvo, prefixo)
+    );
+  });
+}
+
+// Se alguma permissão alcança ao menos parte do bucket (usado para filtrar a
+// listagem de buckets). Sem bucket, se alcança algum bucket.
+function alcancaBucket(permissoes, permissao, bucket) {
+  const pedida = lerPermissao(permissao);
+  return permissoes.some((concedida) => {
+    const { recurso, acao, escopo } = lerPermissao(concedida);
+    return (
+      (recurso === "*" || recurso === pedida.recurso) &&
+      (acao === "*" || acao === pedida.acao) &&
+      (!escopo ||
+        escopo === "*" ||
+        bucket === undefined ||
+        escopo === bucket ||
+        escopo.startsWith(bucket + "/"))
+    );
+  });
+}
+
+// Erro 403 com a permissão e o recurso que faltaram
+function acessoNegado(permissao, alvo) {
+  const erro = erroHttp(
+    403,
+    `Permissão necessária: ${permissao}${
+      alvo !== undefined ? ` em ${alvo}` : ""
+    }`
+  );
+  erro.permission = permissao;
+  erro.resource = alvo;
+  return erro;
+}
+
+module.exports = {
+  PAPEL_PADRAO,
+  acessoNegado,
+  alcancaBucket,
+  papelExiste,
+  permissaoValida,
+  permissoesDoPapel,
+  pode,
+  podeConceder,
+};
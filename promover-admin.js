@@ -0,0 +1,41 @@
+// Promove a admin um usuário já cadastrado, para criar o primeiro administrador
+// (depois disso, os papéis são alterados por um admin em PUT /usuarios/:id/papel):
+//   npm run promover-admin -- <email>
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const email = String(process.argv[2] || "")
+  .trim()
+  .toLowerCase();
+
+async function main() {
+  if (!email) {
+    console.error("Uso: npm run promover-admin -- <email>");
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    // Mesma coleção do modelo Usuario (server.js); usuários na lixeira ficam de fora
+    const { matchedCount } = await mongoose.connection
+      .collection("usuarios")
+      .updateOne({ email, deletedAt: null }, { $set: { papel: "admin" } });
+
+    if (matchedCount === 0) {
+      console.error(`Usuário não encontrado: ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      `${email} agora é admin (vale a partir do próximo login ou renovação)`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("Erro ao promover usuário:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,204 @@
+const { logInfo, logError } = require("./logger");
+
+// Limite de requisições por cliente com janela deslizante (sliding window
+// counter): o total é estimado somando o contador da janela atual com o da
+// janela anterior, proporcional ao tempo que ela ainda cobre. Isso evita o
+// pico de 2x o limite na virada de uma janela fixa.
+//
+// O cliente é a API key, o usuário autenticado ou, sem autenticação, o IP (os
+// orçamentos aplicados antes da autenticação, como ip e auth, contam por IP).
+//
+// Os contadores ficam em um store com dois métodos assíncronos:
+//   incrementar(chave, ttlMs) - soma 1 ao contador (criado com validade ttlMs)
+//                               e retorna o novo total
+//   obter(chave)              - total do contador (0 se não existir)
+// Além dos stores abaixo, qualquer objeto com essa interface (ex. Redis) serve.
+
+// Orçamentos padrão (limit requisições a cada window segundos). Exemplo de
+// RATE_LIMITS, mesclado sobre o padrão:
+//   {"upload": {"limit": 10, "window": 60}, "geral": {"limit": 1000, "window": 60}}
+const ORCAMENTOS_PADRAO = {
+  geral: { limit: 300, window: 60 },
+  ip: { limit: 600, window: 60 }, // Tudo do mesmo IP, antes da autenticação
+  auth: { limit: 20, window: 60 }, // Login, cadastro e renovação, por IP
+  upload: { limit: 30, window: 60 }, // Uploads, URLs de upload e redimensionamento
+  listarBuckets: { limit: 30, window: 60 }, // GET /buckets
+};
+
+const ORCAMENTOS = (() => {
+  if (!process.env.RATE_LIMITS) return ORCAMENTOS_PADRAO;
+  try {
+    return { ...ORCAMENTOS_PADRAO, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    console.error("RATE_LIMITS inválido, usando os limites padrão:", error);
+    return ORCAMENTOS_PADRAO;
+  }
+})();
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+
+// Store em memória: vale só para este processo. Os contadores expirados são
+// removidos periodicamente.
+function storeMemoria() {
+  const contadores = new Map();
+
+  const limpeza = setInterval(() => {
+    const agora = Date.now();
+    for (const [chave, { expiraEm }] of contadores) {
+      if (expiraEm <= agora) contadores.delete(chave);
+    }
+  }, 60 * 1000);
+  limpeza.unref(); // Não impede o processo de encerrar
+
+  return {
+    async incrementar(chave, ttlMs) {
+      const contador = contadores.get(chave);
+      if (contador && contador.expiraEm > Date.now()) {
+        return ++contador.total;
+      }
+      contadores.set(chave, { total: 1, expiraEm: Date.now() + ttlMs });
+      return 1;
+    },
+
+    async obter(chave) {
+      const contador = contadores.get(chave);
+      return contador && contador.expiraEm > Date.now() ? contador.total : 0;
+    },
+  };
+}
+
+// Store compartilhado no MongoDB, para vários containers dividirem os mesmos
+// contadores. O índice TTL remove os documentos das janelas antigas.
+function storeMongo(mongoose) {
+  const schema = new mongoose.Schema(
+    {
+      _id: String,
+      total: { type: Number, default: 0 },
+      expiresAt: { type: Date, expires: 0 },
+    },
+    // Sem conexão, falha na hora em vez de segurar a requisição
+    { versionKey: false, bufferCommands: false }
+  );
+  const Contador = mongoose.model("RateLimit", schema, "ratelimits");
+
+  return {
+    async incrementar(chave, ttlMs) {
+      const contador = await Contador.findOneAndUpdate(
+        { _id: chave },
+        {
+          $inc: { total: 1 },
+          $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) },
+        },
+        { upsert: true, new: true }
+      );
+      return contador.total;
+    },
+
+    async obter(chave) {
+      const contador = await Contador.findById(chave).lean();
+      return contador ? contador.total : 0;
+    },
+  };
+}
+
+// Identifica o cliente da requisição
+function identificarCliente(req) {
+  const autenticado = req.usuarioAutenticado;
+  if (autenticado?.apiKeyId) return `apikey:${autenticado.apiKeyId}`;
+  if (autenticado?.id) return `usuario:${autenticado.id}`;
+  return `ip:${req.ip}`;
+}
+
+// Registra a requisição e calcula quanto resta do orçamento. Retorna também
+// em quantos segundos o cliente volta a ter ao menos uma requisição.
+async function consumir(store, nome, cliente) {
+  const { limit, window } = ORCAMENTOS[nome];
+  const janelaMs = window * 1000;
+  const agora = Date.now();
+  const inicio = Math.floor(agora / janelaMs) * janelaMs;
+  const decorrido = agora - inicio;
+
+  const prefixo = `${nome}:${cliente}`;
+  const [atual, anterior] = await Promise.all([
+    // A janela atual ainda é lida como "anterior" durante a próxima
+    store.incrementar(`${prefixo}:${inicio}`, 2 * janelaMs),
+    store.obter(`${prefixo}:${inicio - janelaMs}`),
+  ]);
+
+  const peso = 1 - decorrido / janelaMs;
+  const estimado = Math.floor(anterior * peso + atual);
+
+  if (estimado <= limit) {
+    return {
+      limit,
+      window,
+      remaining: limit - estimado,
+      reset: Math.ceil((janelaMs - decorrido) / 1000),
+    };
+  }
+
+  // Tempo até caber mais uma requisição: ainda nesta janela, quando basta o
+  // peso da anterior diminuir; senão, na próxima, com a atual como anterior
+  const espera =
+    atual < limit
+      ? janelaMs * (1 - (limit - 1 - atual) / anterior) - decorrido
+      : janelaMs - decorrido + janelaMs * (1 - (limit - 1) / atual);
+
+  return {
+    limit,
+    window,
+    remaining: 0,
+    excedido: true,
+    reset: Math.max(1, Math.ceil(espera / 1000)),
+  };
+}
+
+// Cria o middleware de um orçamento. Envia os cabeçalhos RateLimit-* (draft
+// IETF) e, ao exceder, responde 429 com Retry-After. Se o store falhar, a
+// requisição segue (falha aberta) para não derrubar a API junto.
+function criarRateLimit(store) {
+  return (nome) => {
+    if (!ORCAMENTOS[nome]) throw new Error(`Orçamento desconhecido: ${nome}`);
+
+    return async (req, res, next) => {
+      if (!RATE_LIMIT_ENABLED) return next();
+
+      const cliente = identificarCliente(req);
+      let consumo;
+      try {
+        consumo = await consumir(store, nome, cliente);
+      } catch (error) {
+        logError("Erro ao consultar o limite de requisições", req, error, {
+          orcamento: nome,
+        });
+        return next();
+      }
+
+      // Com mais de um orçamento na rota, os cabeçalhos mostram o mais apertado
+      const restante = res.get("RateLimit-Remaining");
+      if (restante === undefined || consumo.remaining <= Number(restante)) {
+        res.set({
+          "RateLimit-Policy": `${consumo.limit};w=${consumo.window}`,
+          "RateLimit-Limit": consumo.limit,
+          "RateLimit-Remaining": consumo.remaining,
+          "RateLimit-Reset": consumo.reset,
+        });
+      }
+
+      if (consumo.excedido) {
+        logInfo("Limite de requisições excedido", req, {
+          orcamento: nome,
+          cliente,
+        });
+        res.set("Retry-After", consumo.reset);
+        return res.status(429).json({
+          error: "Muitas requisições",
+          details: `Limite de ${consumo.limit} requisições a cada ${consumo.window}s (${nome}). Tente novamente em ${consumo.reset}s`,
+        });
+      }
+      next();
+    };
+  };
+}
+
+module.exports = { criarRateLimit, storeMemoria, storeMongo };
@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const { PassThrough, Transform } = require("stream");
+const erroHttp = require("./erroHttp");
+
+// Storage do multer que envia o arquivo direto para o S3 em streaming,
+// usando o multipart upload do SDK (s3.upload) sem bufferizar em memória.
+// Durante o envio são calculados o tamanho e os hashes MD5/SHA-256 do arquivo.
+//
+// Opções:
+//   s3           - cliente AWS.S3
+//   params       - função (req, file) que retorna (ou resolve) os parâmetros do
+//                  putObject (Bucket, Key, ContentType, Metadata, ...) e, opcionalmente:
+//                    tags        - lista de { Key, Value } do objeto
+//                    verificacao - { tamanhoMaximo, md5, sha256 }: limite de tamanho
+//                                  e hashes esperados (hex ou base64). Os hashes
+//                                  informados são gravados no objeto, nos
+//                                  metadados md5 e sha256 (x-amz-meta-*)
+//   partSize     - tamanho de cada parte do multipart, em bytes
+//   queueSize    - quantidade de partes enviadas em paralelo
+//   isolarErros  - se true, a falha de um arquivo não aborta a requisição:
+//                  o erro é devolvido em file.error para a rota tratar
+//   bytesInicio  - quantidade de bytes iniciais do arquivo disponibilizados em
+//                  file.inicio antes de chamar params (ex. para detectar o tipo)
+function s3Storage({
+  s3,
+  params,
+  partSize,
+  queueSize,
+  isolarErros = false,
+  bytesInicio = 0,
+}) {
+  return {
+    _handleFile(req, file, cb) {
+      const falhar = (err) => {
+        // Descarta o restante do arquivo para o busboy conseguir finalizar a requisição
+        file.stream.unpipe();
+        file.stream.resume();
+
+        if (isolarErros) return cb(null, { error: err });
+        cb(err);
+      };
+
+      lerInicio(file.stream, bytesInicio)
+        .then(({ inicio, terminou }) => {
+          file.inicio = inicio;
+          return Promise.resolve(params(req, file)).then((resultado) => ({
+            ...resultado,
+            inicio,
+            terminou,
+          }));
+        })
+        .then(
+          ({ tags, verificacao = {}, inicio, terminou, ...uploadParams }) => {
+            // Devolve ao corpo do upload os bytes já lidos do início do arquivo
+            const corpo = new PassThrough();
+            if (inicio.length > 0) corpo.write(inicio);
+            if (terminou) corpo.end();
+            else file.stream.pipe(corpo);
+
+            const verificador = criarVerificador(verificacao);
+
+            // O multipart começa antes do fim do arquivo, então só os hashes
+            // informados pelo cliente vão junto. Se não conferirem, o upload é
+            // cancelado: o objeto nunca fica com um hash errado.
+            const Metadata = {
+              ...uploadParams.Metadata,
+              ...hashesInformados(verificacao),
+            };
+
+            const managedUpload = s3.upload(
+              { ...uploadParams, Metadata, Body: corpo.pipe(verificador) },
+              { partSize, queueSize, tags }
+            );
+
+            // Arquivo acima do limite: cancela o multipart para não gravar um objeto truncado
+            file.stream.on("limit", () => managedUpload.abort());
+
+            managedUpload.send((err, data) => {
+              if (err) return falhar(err);
+
+              cb(null, {
+                bucket: data.Bucket,
+                key: data.Key,
+                location: data.Location,
+                etag: data.ETag,
+                versionId: data.VersionId,
+                contentType: uploadParams.ContentType,
+                metadata: Metadata,
+                tags,
+                serverSideEncryption:
+                  data.ServerSideEncryption ||
+                  uploadParams.ServerSideEncryption,
+                sseKmsKeyId: data.SSEKMSKeyId || uploadParams.SSEKMSKeyId,
+                sseCustomerAlgorithm:
+                  data.SSECustomerAlgorithm ||
+                  uploadParams.SSECustomerAlgorithm,
+                ...verificador.resultado,
+              });
+            });
+          }
+        )
+        .catch(falhar);
+    },
+
+    _removeFile(req, file, cb) {
+      if (!file.key) return cb(null);
+
+      s3.deleteObject({ Bucket: file.bucket, Key: file.key }, (err) => cb(err));
+    },
+  };
+}
+
+// Lê até `tamanho` bytes do início do stream. Se o stream terminar antes,
+// terminou = true e o arquivo inteiro está em inicio.
+function lerInicio(stream, tamanho) {
+  if (tamanho <= 0) {
+    return Promise.resolve({ inicio: Buffer.alloc(0), terminou: false });
+  }
+
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    let total = 0;
+
+    const finalizar = (terminou) => {
+      stream.removeListener("readable", ler);
+      stream.removeListener("end", aoTerminar);
+      stream.removeListener("error", reject);
+      resolve({ inicio: Buffer.concat(partes), terminou });
+    };
+
+    function ler() {
+      let chunk;
+      while (total < tamanho && (chunk = stream.read()) !== null) {
+        partes.push(chunk);
+        total += chunk.length;
+      }
+      if (total >= tamanho) finalizar(false);
+    }
+
+    function aoTerminar() {
+      finalizar(true);
+    }
+
+    stream.on("readable", ler);
+    stream.on("end", aoTerminar);
+    stream.on("error", reject);
+  });
+}
+
+// Compara o hash calculado com o esperado, informado em hex ou base64
+const hashConfere = (hash, esperado) =>
+  esperado.toLowerCase() === hash.toString("hex") ||
+  esperado === hash.toString("base64");
+
+// Hash informado (hex ou base64) em hex, como é gravado nos metadados
+const paraHex = (valor, bytes) =>
+  new RegExp(`^[0-9a-f]{${bytes * 2}}$`, "i").test(valor)
+    ? valor.toLowerCase()
+    : Buffer.from(valor, "base64").toString("hex");
+
+// Metadados md5 e sha256 com os hashes informados para o upload
+function hashesInformados({ md5, sha256 }) {
+  return {
+    ...(md5 && { md5: paraHex(md5, 16) }),
+    ...(sha256 && { sha256: paraHex(sha256, 32) }),
+  };
+}
+
+// Transform que calcula tamanho, MD5 e SHA-256 do arquivo. Se o tamanho passar
+// do limite ou os hashes não conferirem, o stream termina com erro e o
+// s3.upload é cancelado antes de o objeto ser gravado.
+function criarVerificador({ tamanhoMaximo, md5, sha256 }) {
+  const hashMd5 = crypto.createHash("md5");
+  const hashSha256 = crypto.createHash("sha256");
+  let size = 0;
+
+  const verificador = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (tamanhoMaximo && size > tamanhoMaximo) {
+        return callback(
+          erroHttp(
+            413,
+            `Arquivo excede o tamanho máximo de ${tamanhoMaximo} bytes`
+          )
+        );
+      }
+
+      hashMd5.update(chunk);
+      hashSha256.update(chunk);
+      callback(null, chunk);
+    },
+
+    flush(callback) {
+      const digestMd5 = hashMd5.digest();
+      const digestSha256 = hashSha256.digest();
+
+      verificador.resultado = {
+        size,
+        md5: digestMd5.toString("hex"),
+        sha256: digestSha256.toString("hex"),
+      };
+
+      if (md5 && !hashConfere(digestMd5, md5)) {
+        return callback(
+          erroHttp(400, "O MD5 do arquivo não confere com o informado")
+        );
+      }
+      if (sha256 && !hashConfere(digestSha256, sha256)) {
+        return callback(
+          erroHttp(400, "O SHA-256 do arquivo não confere com o informado")
+        );
+      }
+      callback();
+    },
+  });
+
+  return verificador;
+}
+
+module.exports = s3Storage;
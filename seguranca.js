@@ -0,0 +1,125 @@
+// Configuração do CORS e cabeçalhos de segurança das respostas
+
+const lista = (valor) =>
+  String(valor)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Origens aceitas, separadas por vírgula. "*" libera qualquer origem e um "*"
+// dentro da origem vale para subdomínios: https://*.empresa.com.br
+const CORS_ORIGINS = lista(process.env.CORS_ORIGINS || "*");
+const CORS_CREDENTIALS = process.env.CORS_CREDENTIALS === "true";
+
+// Cabeçalhos das respostas que o navegador deixa o JavaScript ler
+const EXPOSTOS_PADRAO = [
+  "Content-Disposition",
+  "Content-Range",
+  "Accept-Ranges",
+  "ETag",
+  "Last-Modified",
+  "x-amz-version-id",
+  "x-amz-server-side-encryption",
+  "x-amz-server-side-encryption-aws-kms-key-id",
+  "x-amz-server-side-encryption-customer-algorithm",
+  "RateLimit-Policy",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "Retry-After",
+  "WWW-Authenticate",
+];
+
+const padraoParaRegex = (origem) =>
+  new RegExp(
+    "^" +
+      origem
+        .split("*")
+        .map((parte) => parte.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^.]+") +
+      "$"
+  );
+
+// Com credenciais o navegador não aceita "*": é preciso listar as origens
+function origensCors() {
+  if (CORS_ORIGINS.includes("*")) {
+    if (CORS_CREDENTIALS) {
+      console.error(
+        "CORS_CREDENTIALS exige origens em CORS_ORIGINS, requisições com credenciais serão recusadas pelo navegador"
+      );
+    }
+    return "*";
+  }
+  return CORS_ORIGINS.map((origem) =>
+    origem.includes("*") ? padraoParaRegex(origem) : origem
+  );
+}
+
+// Opções do middleware cors. Sem CORS_ALLOWED_HEADERS, os cabeçalhos pedidos
+// no preflight são aceitos.
+const opcoesCors = {
+  origin: origensCors(),
+  methods: lista(process.env.CORS_METHODS || "GET,HEAD,POST,PUT,PATCH,DELETE"),
+  allowedHeaders: process.env.CORS_ALLOWED_HEADERS
+    ? lista(process.env.CORS_ALLOWED_HEADERS)
+    : undefined,
+  exposedHeaders: process.env.CORS_EXPOSED_HEADERS
+    ? lista(process.env.CORS_EXPOSED_HEADERS)
+    : EXPOSTOS_PADRAO,
+  credentials: CORS_CREDENTIALS && !CORS_ORIGINS.includes("*"),
+  maxAge: parseInt(process.env.CORS_MAX_AGE) || 600,
+};
+
+// HSTS em segundos (0 desativa; vazio ou inválido usa 180 dias). O navegador
+// só respeita o cabeçalho em HTTPS.
+const HSTS_MAX_AGE = (() => {
+  const segundos = parseInt(process.env.SECURITY_HSTS_MAX_AGE);
+  return isNaN(segundos) ? 15552000 : segundos;
+})();
+// DENY ou SAMEORIGIN, repetido no frame-ancestors da CSP
+const FRAME_OPTIONS =
+  process.env.SECURITY_FRAME_OPTIONS?.toUpperCase() === "SAMEORIGIN"
+    ? "SAMEORIGIN"
+    : "DENY";
+const FRAME_ANCESTORS =
+  FRAME_OPTIONS === "SAMEORIGIN"
+    ? "frame-ancestors 'self'"
+    : "frame-ancestors 'none'";
+
+// A API só retorna JSON e arquivos: nada é executado nem embutido. Isso também
+// impede que um HTML enviado ao S3 rode com a origem da API ao ser baixado.
+const CSP_API = `default-src 'none'; ${FRAME_ANCESTORS}; sandbox`;
+
+// O Swagger UI carrega os próprios scripts e estilos, usa estilos inline e
+// imagens em data URI e chama a API na mesma origem
+const CSP_SWAGGER = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  FRAME_ANCESTORS,
+].join("; ");
+
+function cabecalhosSeguranca(prefixoSwagger) {
+  return (req, res, next) => {
+    if (HSTS_MAX_AGE > 0) {
+      res.set(
+        "Strict-Transport-Security",
+        `max-age=${HSTS_MAX_AGE}; includeSubDomains`
+      );
+    }
+    res.set({
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": FRAME_OPTIONS,
+      "Referrer-Policy": "no-referrer",
+      "Cross-Origin-Opener-Policy": "same-origin",
+      "Content-Security-Policy": req.path.startsWith(prefixoSwagger)
+        ? CSP_SWAGGER
+        : CSP_API,
+    });
+    next();
+  };
+}
+
+module.exports = { cabecalhosSeguranca, opcoesCors };
@@ -3,15 +3,12 @@ const express = require("express");
 const app = express();
 const cors = require("cors");
 const multer = require("multer");
-const multerS3 = require("multer-s3");
+const { cabecalhosSeguranca, opcoesCors } = require("./seguranca");
 
-app.use(
-  cors({
-    origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: "*",
-  })
-);
+// Origens, métodos e credenciais do CORS vêm do ambiente (ver seguranca.js)
+app.disable("x-powered-by");
+app.use(cors(opcoesCors));
+app.use(cabecalhosSeguranca("/swagger"));
 
 //BD
 const mongoose = require("mongoose");
@@ -19,12 +16,164 @@ const mongoose = require("mongoose");
 const swaggerDocs = require("./swagger");
 //S3
 const AWS = require("aws-sdk");
+const crypto = require("crypto");
+const path = require("path");
+const s3Storage = require("./s3Storage");
+const erroHttp = require("./erroHttp");
+const {
+  BYTES_DETECCAO,
+  detectarTipo,
+  validarTipo,
+  regraDoBucket,
+  sanitizarNomeArquivo,
+} = require("./uploadValidation");
+const {
+  ehImagem,
+  gerarDerivados,
+  lerOpcoesDerivado,
+  nomeDerivado,
+  prefixoDerivados,
+  variantesSolicitadas,
+} = require("./imagens");
 
 //Log
 const { logInfo, logError } = require("./logger");
+//Autenticação
+const {
+  autenticar,
+  conferirSenha,
+  gerarAccessToken,
+  gerarRefreshToken,
+  hashSenha,
+  validarSenha,
+  verificarToken,
+} = require("./auth");
+const {
+  PAPEL_PADRAO,
+  acessoNegado,
+  alcancaBucket,
+  papelExiste,
+  permissaoValida,
+  permissoesDoPapel,
+  pode,
+  podeConceder,
+} = require("./permissoes");
+const { gerarApiKey, lerApiKey, segredoConfere } = require("./apiKeys");
+const { criarRateLimit, storeMemoria, storeMongo } = require("./rateLimit");
+const {
+  campoSelecionado,
+  consultaMongo,
+  consultaSql,
+  cursorMongo,
+  cursorSql,
+  lerConsulta,
+  lerCursor,
+  paginarCursor,
+} = require("./consulta");
 
 app.use(express.json());
 
+// Atrás de um load balancer, informe os proxies confiáveis (ex. TRUST_PROXY=1)
+// para o IP do cliente vir do X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const proxies = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(proxies) ? Number(proxies) : proxies);
+}
+
+// Limite de requisições por cliente (ver rateLimit.js). Com
+// RATE_LIMIT_STORE=mongo os containers compartilham os contadores.
+const limitar = criarRateLimit(
+  process.env.RATE_LIMIT_STORE === "mongo"
+    ? storeMongo(mongoose)
+    : storeMemoria()
+);
+app.use("/auth", limitar("auth"));
+// Antes da autenticação, por IP: tokens e API keys inválidos também consomem
+// (cada tentativa custa uma consulta ao banco e um log)
+app.use(limitar("ip"));
+
+// Rotas de usuários, produtos e S3 exigem um access token (Authorization: Bearer)
+// ou, para clientes sem usuário (jobs, integrações), uma API key (x-api-key)
+app.use(
+  [
+    "/usuarios",
+    "/produtos",
+    "/categorias",
+    "/buckets",
+    "/init-db",
+    "/api-keys",
+  ],
+  (req, res, next) =>
+    req.get("x-api-key")
+      ? autenticarApiKey(req, res, next)
+      : autenticar(req, res, next)
+);
+// Depois da autenticação, para contar por usuário ou API key
+app.use(limitar("geral"));
+
+// Resposta padrão quando falta permissão ao usuário autenticado
+function responderAcessoNegado(req, res, erro) {
+  logInfo("Acesso negado", req, {
+    usuario: req.usuarioAutenticado?.id,
+    apiKeyId: req.usuarioAutenticado?.apiKeyId,
+    papel: req.usuarioAutenticado?.papel,
+    permission: erro.permission,
+    resource: erro.resource,
+  });
+  res.status(403).json({
+    error: "Acesso negado",
+    details: erro.message,
+    permission: erro.permission,
+    resource: erro.resource,
+  });
+}
+
+// Lança um erro 403 se o usuário autenticado não tiver a permissão no alvo
+// (para o S3, "bucket" ou "bucket/chave"; com prefixo, "bucket/prefixo")
+function autorizar(req, permissao, alvo, opcoes) {
+  if (
+    !pode(req.usuarioAutenticado?.permissoes || [], permissao, alvo, opcoes)
+  ) {
+    throw acessoNegado(permissao, alvo);
+  }
+}
+
+// Middleware que exige uma permissão. alvo(req) indica o bucket/chave da rota
+// (ou o bucket/prefixo, com prefixo); com proprioUsuario, o usuário sempre pode
+// alterar o próprio cadastro.
+const exigirPermissao =
+  (permissao, { alvo, prefixo = false, proprioUsuario = false } = {}) =>
+  (req, res, next) => {
+    if (proprioUsuario && req.params.id === req.usuarioAutenticado?.id) {
+      return next();
+    }
+
+    try {
+      autorizar(req, permissao, alvo && alvo(req), { prefixo });
+      next();
+    } catch (erro) {
+      responderAcessoNegado(req, res, erro);
+    }
+  };
+
+// Lê o ?hard=true das remoções com lixeira. Remover definitivamente exige a
+// permissão admin do recurso (ex. produtos:admin).
+function remocaoDefinitiva(req, permissao) {
+  const { hard } = req.query;
+  if (hard === undefined || hard === "false") return false;
+  if (hard !== "true") throw erroHttp(400, "hard deve ser true ou false");
+  autorizar(req, permissao);
+  return true;
+}
+
+// Alvos das permissões do S3
+const alvoBucket = (req) => req.params.bucketName;
+const alvoObjeto = (req) =>
+  `${req.params.bucketName}/${req.params.key.join("/")}`;
+// Prefixo dos derivados (miniaturas) do objeto da rota
+const alvoDerivados = (req) =>
+  `${req.params.bucketName}/${prefixoDerivados(req.params.key.join("/"))}`;
+
 /**
  * @swagger
  * tags:
@@ -34,6 +183,61 @@ app.use(express.json());
  *     description: Operações de CRUD para produtos no MySQL.
  *   - name: Buckets
  *     description: Operações de Listar buckets, upload e remoção de arquivo para um bucket S3.
+ *   - name: Autenticação
+ *     description: Cadastro, login e renovação dos tokens JWT.
+ *   - name: API keys
+ *     description: Chaves de acesso para integrações e jobs, com scopes e validade.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   responses:
+ *     AcessoNegado:
+ *       description: O papel do usuário não tem a permissão necessária
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Acesso negado
+ *               details:
+ *                 type: string
+ *                 example: "Permissão necessária: s3:delete em meu-bucket/docs/a.pdf"
+ *               permission:
+ *                 type: string
+ *                 example: s3:delete
+ *               resource:
+ *                 type: string
+ *                 example: meu-bucket/docs/a.pdf
+ *     MuitasRequisicoes:
+ *       description: Limite de requisições do cliente excedido (ver Retry-After)
+ *       headers:
+ *         Retry-After:
+ *           description: Segundos até a próxima requisição ser aceita
+ *           schema:
+ *             type: integer
+ *         RateLimit-Limit:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Remaining:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Reset:
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Muitas requisições
+ *               details:
+ *                 type: string
  */
 
 //#region CRUD MongoDb
@@ -62,18 +266,157 @@ const UserSchema = new mongoose.Schema(
       lowercase: true,
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Email inválido"],
     },
+    // Foto de perfil guardada no S3 (bucket AVATAR_BUCKET)
+    avatar: {
+      type: new mongoose.Schema(
+        {
+          bucket: { type: String, required: true },
+          key: { type: String, required: true },
+          contentType: String,
+          size: Number,
+          updatedAt: Date,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    // Papel do usuário, que define suas permissões (ver permissoes.js)
+    papel: {
+      type: String,
+      default: PAPEL_PADRAO,
+      validate: [papelExiste, "Papel inválido"],
+    },
+    // Hash bcrypt da senha, nunca retornado pela API
+    senha: {
+      type: String,
+      select: false,
+    },
+    // Exclusão lógica: preenchido quando o usuário vai para a lixeira
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
   },
   {
     timestamps: true, // Adiciona createdAt e updatedAt automaticamente
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.senha;
+        return ret;
+      },
+    },
+  }
+);
+
+// Usuários na lixeira ficam fora das consultas, a não ser que o filtro fale
+// de deletedAt ou a consulta use comExcluidos() (ex. a checagem de email
+// único, que vale também para a lixeira)
+UserSchema.query.comExcluidos = function () {
+  this._comExcluidos = true;
+  return this;
+};
+UserSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "updateOne"],
+  function () {
+    if (this._comExcluidos || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
   }
 );
 
 const User = mongoose.model("Usuario", UserSchema);
 
+// Detalhe do erro de email em uso quando o dono do email está na lixeira
+const emailNaLixeira = (user) =>
+  user.deletedAt
+    ? {
+        details:
+          "O email pertence a um usuário na lixeira: restaure-o ou remova-o definitivamente",
+      }
+    : {};
+
+// Remove o usuário de vez (esteja ou não na lixeira), junto com o avatar no
+// S3. As sessões (famílias de refresh tokens) e as API keys que ele criou são
+// revogadas. Retorna o usuário removido ou null se não existir.
+async function excluirUsuarioDefinitivamente(req, id) {
+  const user = await User.findOneAndDelete({ _id: id });
+  if (!user) return null;
+
+  const agora = new Date();
+  await RefreshToken.updateMany(
+    { usuario: user._id, revogadoEm: null },
+    { revogadoEm: agora }
+  );
+  await ApiKey.updateMany(
+    { criadaPor: user._id, revokedAt: null },
+    { revokedAt: agora }
+  );
+  if (user.avatar) await removerArquivoAvatar(req, user.avatar);
+  return user;
+}
+
+// Refresh tokens emitidos. A cada renovação o token usado é marcado (usadoEm) e
+// um novo é emitido na mesma família; apresentar de novo um token já usado
+// revoga a família inteira.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Usuario",
+      required: true,
+      index: true,
+    },
+    familia: { type: String, required: true, index: true },
+    // Índice TTL: o MongoDB remove o registro quando o token expira
+    expiresAt: { type: Date, required: true, expires: 0 },
+    usadoEm: Date,
+    revogadoEm: Date,
+  },
+  { timestamps: true }
+);
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+
+// API keys de clientes máquina a máquina. Do segredo só o hash é guardado;
+// scopes usa o mesmo formato das permissões dos papéis (ver permissoes.js).
+const ApiKeySchema = new mongoose.Schema(
+  {
+    nome: {
+      type: String,
+      required: [true, "Nome é obrigatório"],
+      trim: true,
+      maxlength: [100, "Nome não pode ter mais de 100 caracteres"],
+    },
+    keyId: { type: String, required: true, unique: true },
+    hash: { type: String, required: true, select: false },
+    scopes: {
+      type: [String],
+      validate: [(scopes) => scopes.length > 0, "Informe ao menos um scope"],
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    revokedAt: Date,
+    rotatedAt: Date,
+    criadaPor: { type: mongoose.Schema.Types.ObjectId, ref: "Usuario" },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.hash;
+        return ret;
+      },
+    },
+  }
+);
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
 /**
  * @swagger
  * /mongodb/testar-conexao:
  *   get:
+ *     security: []
  *     tags:
  *       - CRUD MongoDb
  *     summary: Testa a conexão com o MongoDB
@@ -163,7 +506,7 @@ app.get("/mongodb/testar-conexao", async (req, res) => {
  *       400:
  *         description: Requisição inválida.
  */
-app.post("/usuarios", async (req, res) => {
+app.post("/usuarios", exigirPermissao("usuarios:write"), async (req, res) => {
   try {
     const { nome, email } = req.body;
 
@@ -173,9 +516,13 @@ app.post("/usuarios", async (req, res) => {
     }
 
     // Verificar se o email já existe
-    const existingUser = await User.findOne({ email });
+    // O índice único do email vale também para os usuários na lixeira
+    const existingUser = await User.findOne({ email }).comExcluidos();
     if (existingUser) {
-      return res.status(400).json({ error: "Email já está em uso" });
+      return res.status(400).json({
+        error: "Email já está em uso",
+        ...emailNaLixeira(existingUser),
+      });
     }
 
     const user = new User({ nome, email });
@@ -188,6 +535,121 @@ app.post("/usuarios", async (req, res) => {
   }
 });
 
+// Campos de GET /usuarios para filtros, ordenação, busca (q) e fields
+const ESQUEMA_USUARIO = {
+  id: "_id",
+  campos: {
+    nome: { tipo: "texto", ordenar: true },
+    email: { tipo: "texto", ordenar: true },
+    papel: { tipo: "texto", ordenar: true },
+    createdAt: { tipo: "data", ordenar: true },
+    updatedAt: { tipo: "data", ordenar: true },
+  },
+  busca: ["nome", "email"],
+  exibicao: ["avatar"],
+  ordemPadrao: "-createdAt",
+  parametros: ["page", "limit"],
+};
+
+// GET /usuarios/trash aceita também deletedAt, a ordem padrão
+const ESQUEMA_USUARIO_LIXEIRA = {
+  ...ESQUEMA_USUARIO,
+  campos: {
+    ...ESQUEMA_USUARIO.campos,
+    deletedAt: { tipo: "data", ordenar: true },
+  },
+  ordemPadrao: "-deletedAt",
+};
+
+// Handler das listagens de usuários: GET /usuarios e, com lixeira, GET
+// /usuarios/trash (mesma paginação, busca, filtros e ordenação)
+const listarUsuarios =
+  (esquema, { lixeira = false } = {}) =>
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      // Validar limites
+      if (limit > 100) {
+        return res
+          .status(400)
+          .json({ error: "Limite máximo é 100 usuários por página" });
+      }
+
+      const consulta = lerConsulta(req.query, esquema);
+      const cursor = lerCursor(req.query, consulta, esquema);
+      const { filtro, ordem, projecao } = consultaMongo(consulta, esquema);
+      // Na lixeira, só os removidos (com deletedAt no filtro, o padrão de
+      // deixar a lixeira de fora não se aplica)
+      const base = lixeira ? { deletedAt: { $ne: null } } : {};
+
+      let users;
+      let pagination;
+      let totalUsers;
+      if (cursor) {
+        // Paginação por cursor: o total só é contado com includeTotal=true
+        const keyset = cursorMongo(consulta, cursor);
+        const registros = await User.find(
+          { ...base, $and: [filtro, keyset.filtro] },
+          projecao
+        )
+          .sort(keyset.ordem)
+          .limit(limit + 1);
+        ({ itens: users, pagination } = paginarCursor(
+          registros,
+          limit,
+          cursor,
+          consulta
+        ));
+        if (req.query.includeTotal === "true") {
+          totalUsers = await User.countDocuments({ ...base, ...filtro });
+          pagination.totalUsers = totalUsers;
+        }
+      } else {
+        // Buscar usuários com paginação
+        const skip = (page - 1) * limit;
+        users = await User.find({ ...base, ...filtro }, projecao)
+          .sort(ordem)
+          .skip(skip)
+          .limit(limit);
+
+        // Contar total de usuários
+        totalUsers = await User.countDocuments({ ...base, ...filtro });
+        const totalPages = Math.ceil(totalUsers / limit);
+
+        pagination = {
+          currentPage: page,
+          totalPages,
+          totalUsers,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        };
+      }
+
+      logInfo(
+        lixeira ? "Usuários da lixeira encontrados" : "Usuários encontrados",
+        req,
+        {
+          count: users.length,
+          ...(cursor ? { paginacao: "cursor" } : { page }),
+          totalUsers,
+        }
+      );
+
+      res.json({
+        users,
+        pagination,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logError("Erro ao buscar usuários", req, error, { lixeira });
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  };
+
 /**
  * @swagger
  * /usuarios:
@@ -195,8 +657,28 @@ app.post("/usuarios", async (req, res) => {
  *     tags:
  *       - CRUD MongoDb
  *     summary: Listar todos os usuários
- *     description: Este endpoint retorna todos os usuários cadastrados no sistema com paginação opcional.
+ *     description: |
+ *       Este endpoint retorna todos os usuários cadastrados no sistema com paginação opcional.
+ *
+ *       Os campos nome, email, papel, createdAt e updatedAt podem ser filtrados com um operador entre colchetes, por exemplo papel[in]=admin,editor, email[like]=@empresa.com ou createdAt[gte]=2025-01-01. Operadores: eq (padrão), ne, in, nin e like para textos; eq, ne, gt, gte, lt e lte para datas.
  *     parameters:
+ *       - name: q
+ *         in: query
+ *         description: Busca em nome e email (cada termo precisa aparecer em algum dos dois)
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Campos da ordenação separados por vírgula, "-" para decrescente (nome, email, papel, createdAt, updatedAt). Padrão -createdAt.
+ *         schema:
+ *           type: string
+ *           example: nome,-createdAt
+ *       - name: fields
+ *         in: query
+ *         description: Campos retornados, separados por vírgula (o _id sempre vem)
+ *         schema:
+ *           type: string
+ *           example: nome,email
  *       - name: page
  *         in: query
  *         description: Número da página (padrão 1)
@@ -210,6 +692,27 @@ app.post("/usuarios", async (req, res) => {
  *           type: integer
  *           minimum: 1
  *           maximum: 100
+ *       - name: pagination
+ *         in: query
+ *         description: cursor para a paginação por cursor (keyset), recomendada para listas grandes; offset (padrão) para páginas numeradas
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *       - name: after
+ *         in: query
+ *         description: nextCursor da resposta anterior, para a página seguinte (ativa a paginação por cursor)
+ *         schema:
+ *           type: string
+ *       - name: before
+ *         in: query
+ *         description: prevCursor da resposta anterior, para a página anterior (vazio retorna a última página)
+ *         schema:
+ *           type: string
+ *       - name: includeTotal
+ *         in: query
+ *         description: Na paginação por cursor, conta também o total de usuários (padrão false)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Lista de usuários
@@ -237,6 +740,7 @@ app.post("/usuarios", async (req, res) => {
  *                         format: date-time
  *                 pagination:
  *                   type: object
+ *                   description: currentPage e totalPages só na paginação por páginas; limit, nextCursor e prevCursor só na paginação por cursor
  *                   properties:
  *                     currentPage:
  *                       type: integer
@@ -244,58 +748,100 @@ app.post("/usuarios", async (req, res) => {
  *                       type: integer
  *                     totalUsers:
  *                       type: integer
+ *                       description: Na paginação por cursor, só com includeTotal=true
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Valor de after para a página seguinte
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Valor de before para a página anterior
  *                     hasNext:
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *       400:
+ *         description: Parâmetros inválidos
  */
-app.get("/usuarios", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    // Validar limites
-    if (limit > 100) {
-      return res
-        .status(400)
-        .json({ error: "Limite máximo é 100 usuários por página" });
-    }
-
-    const skip = (page - 1) * limit;
-
-    // Buscar usuários com paginação
-    const users = await User.find()
-      .sort({ createdAt: -1 }) // Ordenar por mais recente
-      .skip(skip)
-      .limit(limit);
-
-    // Contar total de usuários
-    const totalUsers = await User.countDocuments();
-    const totalPages = Math.ceil(totalUsers / limit);
-
-    const pagination = {
-      currentPage: page,
-      totalPages,
-      totalUsers,
-      hasNext: page < totalPages,
-      hasPrev: page > 1,
-    };
-
-    logInfo("Usuários encontrados", req, {
-      count: users.length,
-      page,
-      totalUsers,
-    });
+app.get(
+  "/usuarios",
+  exigirPermissao("usuarios:read"),
+  listarUsuarios(ESQUEMA_USUARIO)
+);
 
-    res.json({
-      users,
-      pagination,
-    });
-  } catch (error) {
-    logError("Erro ao buscar usuários", req, error);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
-  }
-});
+/**
+ * @swagger
+ * /usuarios/trash:
+ *   get:
+ *     tags:
+ *       - CRUD MongoDb
+ *     summary: Listar os usuários da lixeira
+ *     description: |
+ *       Usuários removidos sem hard=true, que podem ser restaurados com POST /usuarios/{id}/restore até serem apagados pela limpeza da lixeira (TRASH_RETENTION_DAYS). Requer a permissão usuarios:delete.
+ *
+ *       Aceita os mesmos parâmetros de GET /usuarios (q, filtros, sort, fields, page, limit e paginação por cursor), com deletedAt também nos filtros e na ordenação. Padrão -deletedAt.
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: -deletedAt
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - name: after
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuários da lixeira, com a mesma paginação de GET /usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       nome:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Parâmetros inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ */
+app.get(
+  "/usuarios/trash",
+  exigirPermissao("usuarios:delete"),
+  listarUsuarios(ESQUEMA_USUARIO_LIXEIRA, { lixeira: true })
+);
 
 /**
  * @swagger
@@ -326,28 +872,50 @@ app.get("/usuarios", async (req, res) => {
  *                   type: string
  *                 email:
  *                   type: string
+ *                 avatar:
+ *                   type: object
+ *                   properties:
+ *                     bucket:
+ *                       type: string
+ *                     key:
+ *                       type: string
+ *                     contentType:
+ *                       type: string
+ *                     size:
+ *                       type: integer
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 avatarUrl:
+ *                   type: string
+ *                   nullable: true
+ *                   description: URL pública (AVATAR_PUBLIC_URL) ou pré-assinada do avatar
  *       404:
  *         description: Usuário não encontrado.
  */
-app.get("/usuarios/:id", async (req, res) => {
-  try {
-    // Validar se o ID é um ObjectId válido
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ error: "ID inválido" });
-    }
+app.get(
+  "/usuarios/:id",
+  exigirPermissao("usuarios:read", { proprioUsuario: true }),
+  async (req, res) => {
+    try {
+      // Validar se o ID é um ObjectId válido
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "ID inválido" });
+      }
 
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: "Usuário não encontrado" });
+      }
 
-    logInfo("Usuário encontrado", req, user);
-    res.json(user);
-  } catch (error) {
-    logError("Erro ao buscar usuário", req, error);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
+      logInfo("Usuário encontrado", req, user);
+      res.json({ ...user.toJSON(), avatarUrl: await urlAvatar(user) });
+    } catch (error) {
+      logError("Erro ao buscar usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -392,52 +960,57 @@ app.get("/usuarios/:id", async (req, res) => {
  *       404:
  *         description: Usuário não encontrado.
  */
-app.put("/usuarios/:id", async (req, res) => {
-  try {
-    // Validar se o ID é um ObjectId válido
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ error: "ID inválido" });
-    }
+app.put(
+  "/usuarios/:id",
+  exigirPermissao("usuarios:write", { proprioUsuario: true }),
+  async (req, res) => {
+    try {
+      // Validar se o ID é um ObjectId válido
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "ID inválido" });
+      }
 
-    const { nome, email } = req.body;
+      const { nome, email } = req.body;
 
-    // Validação básica
-    if (!nome && !email) {
-      return res.status(400).json({
-        error: "Pelo menos um campo (nome ou email) deve ser fornecido",
-      });
-    }
+      // Validação básica
+      if (!nome && !email) {
+        return res.status(400).json({
+          error: "Pelo menos um campo (nome ou email) deve ser fornecido",
+        });
+      }
 
-    // Se email está sendo atualizado, verificar se já existe
-    if (email) {
-      const existingUser = await User.findOne({
-        email,
-        _id: { $ne: req.params.id },
-      });
-      if (existingUser) {
-        return res
-          .status(400)
-          .json({ error: "Email já está em uso por outro usuário" });
+      // Se email está sendo atualizado, verificar se já existe
+      if (email) {
+        const existingUser = await User.findOne({
+          email,
+          _id: { $ne: req.params.id },
+        }).comExcluidos();
+        if (existingUser) {
+          return res.status(400).json({
+            error: "Email já está em uso por outro usuário",
+            ...emailNaLixeira(existingUser),
+          });
+        }
       }
-    }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { ...(nome && { nome }), ...(email && { email }) },
-      { new: true, runValidators: true }
-    );
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { ...(nome && { nome }), ...(email && { email }) },
+        { new: true, runValidators: true }
+      );
 
-    if (!user) {
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
+      if (!user) {
+        return res.status(404).json({ error: "Usuário não encontrado" });
+      }
 
-    logInfo("Usuário atualizado", req, user);
-    res.json(user);
-  } catch (error) {
-    logError("Erro ao atualizar usuário", req, error);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
+      logInfo("Usuário atualizado", req, user);
+      res.json(user);
+    } catch (error) {
+      logError("Erro ao atualizar usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -446,7 +1019,10 @@ app.put("/usuarios/:id", async (req, res) => {
  *     tags:
  *       - CRUD MongoDb
  *     summary: Remover um usuário específico
- *     description: Este endpoint remove um usuário baseado no ID fornecido.
+ *     description: |
+ *       Move o usuário para a lixeira (deletedAt): ele some das consultas e do login, mas pode ser restaurado com POST /usuarios/{id}/restore até a limpeza da lixeira (TRASH_RETENTION_DAYS).
+ *
+ *       Com hard=true o usuário (da lixeira ou não) é removido definitivamente, junto com seu avatar no S3. Requer também a permissão usuarios:admin.
  *     parameters:
  *       - name: id
  *         in: path
@@ -454,327 +1030,5903 @@ app.put("/usuarios/:id", async (req, res) => {
  *         description: ID do usuário
  *         schema:
  *           type: string
+ *       - name: hard
+ *         in: query
+ *         description: Remove definitivamente em vez de mover para a lixeira
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
- *         description: Usuário removido
+ *         description: Usuário movido para a lixeira ou removido
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 _id:
- *                   type: string
- *                 nome:
- *                   type: string
- *                 email:
+ *                 message:
  *                   type: string
+ *                 deletedUser:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     nome:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     deletedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: ID ou hard inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
  *       404:
  *         description: Usuário não encontrado.
  */
-app.delete("/usuarios/:id", async (req, res) => {
-  try {
-    // Validar se o ID é um ObjectId válido
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ error: "ID inválido" });
-    }
-
-    const result = await User.deleteOne({ _id: req.params.id });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
+app.delete(
+  "/usuarios/:id",
+  exigirPermissao("usuarios:delete"),
+  async (req, res) => {
+    try {
+      // Validar se o ID é um ObjectId válido
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "ID inválido" });
+      }
 
-    logInfo("Usuário removido", req);
-    res.json({ message: "Usuário removido com sucesso" });
-  } catch (error) {
-    logError("Erro ao remover usuário", req, error);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
-  }
-});
-//#endregion
+      if (remocaoDefinitiva(req, "usuarios:admin")) {
+        const user = await excluirUsuarioDefinitivamente(req, req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "Usuário não encontrado" });
+        }
 
-//#region S3
-// AWS SDK irá automaticamente usar IAM Role da instância EC2
-AWS.config.update({
-  region: process.env.REGION,
-});
+        logInfo("Usuário removido definitivamente", req, { id: user.id });
+        return res.json({
+          message: "Usuário removido definitivamente",
+          deletedUser: user,
+        });
+      }
 
-const s3 = new AWS.S3();
+      // Vai para a lixeira: um usuário já removido não é encontrado (404)
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { deletedAt: new Date() },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(404).json({ error: "Usuário não encontrado" });
+      }
 
-/**
- * @swagger
- * /buckets:
- *   get:
- *     summary: Lista todos os buckets
- *     tags:
- *       - Buckets
- *     responses:
- *       200:
- *         description: Lista de todos os buckets
- */
-app.get("/buckets", async (req, res) => {
-  try {
-    const data = await s3.listBuckets().promise();
-    logInfo("Buckets encontrados", req, data.Buckets);
-    res.status(200).json(data.Buckets);
-  } catch (error) {
-    logError("Erro ao buscar buckets", req, error);
-    res.status(500).json({ error: "Erro ao listar buckets", details: error });
+      logInfo("Usuário movido para a lixeira", req, { id: user.id });
+      res.json({
+        message: "Usuário movido para a lixeira",
+        deletedUser: user,
+      });
+    } catch (error) {
+      if (error.status === 403) return responderAcessoNegado(req, res, error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logError("Erro ao remover usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /buckets/{bucketName}:
- *   get:
- *     summary: Lista os objetos de um bucket
+ * /usuarios/{id}/restore:
+ *   post:
  *     tags:
- *       - Buckets
+ *       - CRUD MongoDb
+ *     summary: Restaurar um usuário da lixeira
+ *     description: Requer a permissão usuarios:delete.
  *     parameters:
- *       - in: path
- *         name: bucketName
+ *       - name: id
+ *         in: path
  *         required: true
- *         description: Nome do bucket
+ *         description: ID do usuário
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Lista dos objetos do bucket
+ *         description: Usuário restaurado
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Usuário não encontrado na lixeira.
  */
-app.get("/buckets/:bucketName", async (req, res) => {
-  const { bucketName } = req.params;
-  const params = {
-    Bucket: bucketName,
-  };
+app.post(
+  "/usuarios/:id/restore",
+  exigirPermissao("usuarios:delete"),
+  async (req, res) => {
+    try {
+      // Validar se o ID é um ObjectId válido
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "ID inválido" });
+      }
 
-  try {
-    const data = await s3.listObjectsV2(params).promise();
-    logInfo("Objetos encontrados", req, data.Contents);
-    res.status(200).json(data.Contents);
-  } catch (error) {
-    logError("Erro ao buscar objetos", req, error);
-    res
-      .status(500)
-      .json({ error: "Erro ao listar objetos do bucket", details: error });
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: 1 } },
+        { new: true }
+      );
+      if (!user) {
+        return res
+          .status(404)
+          .json({ error: "Usuário não encontrado na lixeira" });
+      }
+
+      logInfo("Usuário restaurado", req, { id: user.id });
+      res.json(user);
+    } catch (error) {
+      logError("Erro ao restaurar usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /buckets/{bucketName}/upload:
- *   post:
- *     summary: Faz o upload de um arquivo para um bucket
+ * /usuarios/{id}/papel:
+ *   put:
  *     tags:
- *       - Buckets
+ *       - CRUD MongoDb
+ *     summary: Alterar o papel de um usuário
+ *     description: Exige a permissão usuarios:admin. O novo papel vale a partir do próximo access token do usuário.
  *     parameters:
- *       - in: path
- *         name: bucketName
+ *       - name: id
+ *         in: path
  *         required: true
- *         description: Nome do bucket
+ *         description: ID do usuário
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - papel
  *             properties:
- *               file:
+ *               papel:
  *                 type: string
- *                 format: binary
+ *                 description: admin, editor, viewer ou um papel definido em RBAC_ROLES
  *     responses:
  *       200:
- *         description: Arquivo enviado com sucesso
+ *         description: Papel alterado
+ *       400:
+ *         description: ID ou papel inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Usuário não encontrado.
  */
-//Utilizar alguma lib para fazer o upload/strem de arquivos, sugestão: multer
-// Configuração do multer para armazenar em memória
-const upload = multer({ storage: multer.memoryStorage() });
-app.post(
-  "/buckets/:bucketName/upload",
-  upload.single("file"),
+app.put(
+  "/usuarios/:id/papel",
+  exigirPermissao("usuarios:admin"),
   async (req, res) => {
-    const { bucketName } = req.params;
-    const file = req.file;
+    try {
+      // Validar se o ID é um ObjectId válido
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "ID inválido" });
+      }
 
-    if (!file) {
-      return res.status(400).json({ message: "Nenhum arquivo enviado." });
-    }
+      const { papel } = req.body || {};
+      if (!papelExiste(papel)) {
+        return res.status(400).json({ error: "Papel inválido" });
+      }
 
-    const params = {
-      Bucket: bucketName,
-      Key: file.originalname,
-      Body: file.buffer,
-      ContentType: file.mimetype,
-    };
-    try {
-      const data = await s3.upload(params).promise();
-      logInfo("Upload efetuado", req, data);
-      res.status(200).json({ message: "Upload concluído com sucesso", data });
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { papel },
+        { new: true, runValidators: true }
+      );
+      if (!user) {
+        return res.status(404).json({ error: "Usuário não encontrado" });
+      }
+
+      logInfo("Papel do usuário alterado", req, {
+        id: user.id,
+        papel,
+        alteradoPor: req.usuarioAutenticado.id,
+      });
+      res.json(user);
     } catch (error) {
-      logError("Erro ao efetuar upload", req, error);
-      res.status(500).json({ message: "Erro no upload", error: error.message });
+      logError("Erro ao alterar papel do usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
     }
   }
 );
+//#endregion
+
+//#region Autenticação
+// Emite um par de tokens (access + refresh). Sem família, inicia uma nova sessão.
+async function emitirTokens(user, familia = crypto.randomUUID()) {
+  const access = gerarAccessToken(user);
+  const refresh = gerarRefreshToken(user, familia);
+
+  await RefreshToken.create({
+    jti: refresh.jti,
+    usuario: user._id,
+    familia,
+    expiresAt: refresh.expiresAt,
+  });
+
+  return {
+    tokenType: "Bearer",
+    accessToken: access.token,
+    expiresIn: access.expiresIn,
+    refreshToken: refresh.token,
+    refreshExpiresIn: refresh.expiresIn,
+  };
+}
+
+// Revoga todos os refresh tokens ainda válidos de uma família (sessão)
+const revogarFamilia = (familia) =>
+  RefreshToken.updateMany(
+    { familia, revogadoEm: null },
+    { revogadoEm: new Date() }
+  );
 
 /**
  * @swagger
- * /buckets/{bucketName}/file/{fileName}:
- *   delete:
- *     summary: Deleta um arquivo específico de um bucket
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *   schemas:
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         accessToken:
+ *           type: string
+ *         expiresIn:
+ *           type: integer
+ *           description: Validade do access token em segundos
+ *         refreshToken:
+ *           type: string
+ *         refreshExpiresIn:
+ *           type: integer
+ *           description: Validade do refresh token em segundos
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
  *     tags:
- *       - Buckets
- *     parameters:
- *       - in: path
- *         name: bucketName
- *         required: true
- *         description: Nome do bucket
- *       - in: path
- *         name: fileName
- *         required: true
- *         description: Nome do arquivo a ser deletado
+ *       - Autenticação
+ *     summary: Cadastrar um usuário com senha
+ *     description: Cria o usuário e já retorna os tokens de acesso.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - email
+ *               - senha
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               senha:
+ *                 type: string
+ *                 minLength: 8
  *     responses:
- *       200:
- *         description: Arquivo deletado com sucesso
+ *       201:
+ *         description: Usuário cadastrado (campos user e tokens)
+ *       400:
+ *         description: Dados inválidos ou email já está em uso
  */
-app.delete("/buckets/:bucketName/file/:fileName", async (req, res) => {
-  const { bucketName, fileName } = req.params;
-
+app.post("/auth/register", async (req, res) => {
   try {
-    const params = {
-      Bucket: bucketName,
-      Key: fileName,
-    };
+    const { nome, email, senha } = req.body || {};
 
-    await s3.deleteObject(params).promise();
-    logInfo("Objeto removido", req, { bucketName, fileName });
-    res.status(200).json({
-      message: "Arquivo deletado com sucesso",
-      deletedFile: fileName,
-      bucket: bucketName,
-    });
-  } catch (error) {
-    logError("Erro ao remover objeto", req, error);
-    res.status(500).json({
-      error: "Erro ao deletar arquivo do bucket",
-      details: error.message,
-    });
-  }
-});
-//#endregion
+    if (!nome || !email || !senha) {
+      return res
+        .status(400)
+        .json({ error: "Nome, email e senha são obrigatórios" });
+    }
+    validarSenha(senha);
 
-//#region CRUD MySQL
-const mysql = require("mysql2/promise");
+    // O índice único do email vale também para os usuários na lixeira
+    const existingUser = await User.findOne({ email }).comExcluidos();
+    if (existingUser) {
+      return res.status(400).json({ error: "Email já está em uso" });
+    }
 
-const DB_NAME = process.env.DB_NAME || "api_aws_db";
+    // O cadastro aberto sempre recebe o papel padrão: só um admin altera papéis
+    const user = new User({
+      nome,
+      email,
+      senha: await hashSenha(senha),
+    });
+    await user.save();
+    const tokens = await emitirTokens(user);
 
-// Criar pool de conexões MySQL
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || "localhost",
-  port: process.env.DB_PORT || 3306,
-  user: process.env.DB_USER || "root",
-  password: process.env.DB_PASSWORD || "",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
+    logInfo("Usuário cadastrado", req, { id: user.id, email: user.email });
+    res.status(201).json({ user, ...tokens });
+  } catch (error) {
+    if (error.status || error.name === "ValidationError") {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    logError("Erro ao cadastrar usuário", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
 });
 
 /**
  * @swagger
- * /mysql/testar-conexao:
- *   get:
+ * /auth/login:
+ *   post:
  *     tags:
- *       - CRUD MySQL
- *     summary: Testa a conexão com o MySQL
- *     description: Verifica se a aplicação consegue se conectar ao MySQL.
+ *       - Autenticação
+ *     summary: Entrar com email e senha
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - senha
+ *             properties:
+ *               email:
+ *                 type: string
+ *               senha:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Conexão bem-sucedida
- *       500:
- *         description: Erro na conexão com o MySQL
+ *         description: Login efetuado (campos user e tokens)
+ *       400:
+ *         description: Email e senha são obrigatórios
+ *       401:
+ *         description: Email ou senha inválidos
  */
-app.get("/mysql/testar-conexao", async (req, res) => {
+app.post("/auth/login", async (req, res) => {
   try {
-    // Testar a conexão
-    const connection = await pool.getConnection();
+    const { email, senha } = req.body || {};
 
-    // Verificar se o banco existe e tem produtos
-    await connection.query(`USE \`${DB_NAME}\``);
-    const [rows] = await connection.query(
-      "SELECT COUNT(*) as total FROM produto"
-    );
+    if (!email || !senha) {
+      return res.status(400).json({ error: "Email e senha são obrigatórios" });
+    }
 
-    connection.release();
+    const user = await User.findOne({
+      email: String(email).trim().toLowerCase(),
+    }).select("+senha");
 
-    logInfo("Conexão com o MySQL verificada com sucesso", req);
+    // Mesma resposta para email inexistente e senha errada
+    if (!user || !(await conferirSenha(senha, user.senha))) {
+      logInfo("Tentativa de login inválida", req, { email });
+      return res.status(401).json({ error: "Email ou senha inválidos" });
+    }
 
-    const totalProdutos = rows[0].total;
+    const tokens = await emitirTokens(user);
 
-    res.status(200).json({
-      message:
-        totalProdutos > 0
-          ? `Conexão com o MySQL bem-sucedida! ${totalProdutos} produto(s) encontrado(s).`
-          : "Conexão com o MySQL bem-sucedida, mas nenhum produto encontrado.",
-      status: "connected",
-      hasProducts: totalProdutos > 0,
-      totalProducts: totalProdutos,
-    });
+    logInfo("Login efetuado", req, { id: user.id, email: user.email });
+    res.json({ user, ...tokens });
   } catch (error) {
-    logError("Erro ao testar conexão com MySQL: " + error, req, error);
-    res.status(500).json({
-      error: "Erro na conexão com o MySQL",
-      details: error.message,
+    logError("Erro ao efetuar login", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     tags:
+ *       - Autenticação
+ *     summary: Renovar os tokens
+ *     description: Troca um refresh token válido por um novo par de tokens. O refresh token usado deixa de valer; se ele for apresentado novamente, toda a sessão é revogada.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Novos tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: refreshToken é obrigatório
+ *       401:
+ *         description: Refresh token inválido, expirado, revogado ou reutilizado
+ */
+app.post("/auth/refresh", async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: "refreshToken é obrigatório" });
+  }
+
+  try {
+    const payload = verificarToken(refreshToken, "refresh");
+
+    // Marca o token como usado de forma atômica: duas renovações simultâneas
+    // com o mesmo token não geram duas sessões
+    const registro = await RefreshToken.findOneAndUpdate(
+      { jti: payload.jti, usadoEm: null, revogadoEm: null },
+      { usadoEm: new Date() }
+    );
+
+    if (!registro) {
+      const existente = await RefreshToken.findOne({ jti: payload.jti });
+      if (existente && !existente.revogadoEm) {
+        // Token já rotacionado apresentado de novo: pode ter sido roubado
+        await revogarFamilia(existente.familia);
+        logError("Reuso de refresh token detectado", req, null, {
+          usuario: existente.usuario,
+          familia: existente.familia,
+        });
+      }
+      return res.status(401).json({ error: "Refresh token inválido" });
+    }
+
+    const user = await User.findById(registro.usuario);
+    if (!user) {
+      await revogarFamilia(registro.familia);
+      return res.status(401).json({ error: "Refresh token inválido" });
+    }
+
+    const tokens = await emitirTokens(user, registro.familia);
+
+    logInfo("Tokens renovados", req, { id: user.id });
+    res.json(tokens);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logError("Erro ao renovar tokens", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags:
+ *       - Autenticação
+ *     summary: Encerrar a sessão
+ *     description: Revoga o refresh token informado e todos os renovados a partir do mesmo login. Os access tokens já emitidos valem até expirar (JWT_ACCESS_EXPIRES).
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *       400:
+ *         description: refreshToken é obrigatório
+ *       401:
+ *         description: Refresh token inválido
+ */
+app.post("/auth/logout", async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: "refreshToken é obrigatório" });
+  }
+
+  try {
+    const payload = verificarToken(refreshToken, "refresh");
+    await revogarFamilia(payload.familia);
+
+    logInfo("Logout efetuado", req, { id: payload.sub });
+    res.json({ message: "Logout efetuado com sucesso" });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logError("Erro ao efetuar logout", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+//#endregion
+
+//#region API keys
+// Validade padrão das chaves, em dias (0 = sem validade; vazio = 90)
+const API_KEY_DEFAULT_EXPIRES_DAYS = (() => {
+  const dias = parseInt(process.env.API_KEY_DEFAULT_EXPIRES_DAYS);
+  return isNaN(dias) ? 90 : dias;
+})();
+
+// Autentica pelo cabeçalho x-api-key. As permissões são os scopes da chave;
+// req.usuarioAutenticado não tem id (a chave não é um usuário).
+async function autenticarApiKey(req, res, next) {
+  const naoAutenticado = (details) => {
+    logInfo("API key recusada", req, { details });
+    res.status(401).json({ error: "Não autenticado", details });
+  };
+
+  try {
+    const lida = lerApiKey(req.get("x-api-key"));
+    if (!lida) return naoAutenticado("API key inválida");
+
+    const apiKey = await ApiKey.findOne({ keyId: lida.keyId }).select("+hash");
+    if (!apiKey || !segredoConfere(lida.segredo, apiKey.hash)) {
+      return naoAutenticado("API key inválida");
+    }
+    if (apiKey.revokedAt) return naoAutenticado("API key revogada");
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return naoAutenticado("API key expirada");
+    }
+    // Chaves de um usuário na lixeira ficam suspensas até a restauração (o
+    // hook de deletedAt esconde o usuário removido). A chave nunca vale mais
+    // que o papel atual de quem a criou: os scopes que ele não poderia mais
+    // conceder (ex. depois de perder o papel) ficam sem efeito.
+    let scopes = apiKey.scopes;
+    if (apiKey.criadaPor) {
+      const criador = await User.findById(apiKey.criadaPor, "papel");
+      if (!criador) {
+        return naoAutenticado(
+          "API key suspensa: o usuário que a criou foi removido"
+        );
+      }
+      const permissoesCriador = permissoesDoPapel(criador.papel);
+      scopes = scopes.filter((scope) => podeConceder(permissoesCriador, scope));
+    }
+
+    // Sem await: o registro do último uso não deve atrasar a requisição
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+      (error) => logError("Erro ao registrar uso da API key", req, error)
+    );
+
+    req.usuarioAutenticado = {
+      apiKeyId: apiKey.keyId,
+      nome: apiKey.nome,
+      permissoes: scopes,
+    };
+    logInfo("Requisição autenticada por API key", req, {
+      apiKeyId: apiKey.keyId,
+      nome: apiKey.nome,
+    });
+    next();
+  } catch (error) {
+    logError("Erro ao autenticar API key", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+}
+
+// Validade da chave a partir de expiresAt (data) ou expiresInDays
+function validadeApiKey({ expiresAt, expiresInDays }) {
+  if (expiresAt !== undefined) {
+    const data = new Date(expiresAt);
+    if (isNaN(data) || data <= new Date()) {
+      throw erroHttp(400, "expiresAt deve ser uma data futura");
+    }
+    return data;
+  }
+
+  const dias =
+    expiresInDays === undefined
+      ? API_KEY_DEFAULT_EXPIRES_DAYS
+      : Number(expiresInDays);
+  if (!Number.isInteger(dias) || dias < 0) {
+    throw erroHttp(400, "expiresInDays deve ser um inteiro maior ou igual a 0");
+  }
+  return dias ? new Date(Date.now() + dias * 24 * 60 * 60 * 1000) : undefined;
+}
+
+// Confere os scopes pedidos: precisam existir e quem cria a chave precisa tê-los
+function validarScopes(req, scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw erroHttp(400, "scopes deve ser uma lista com ao menos uma permissão");
+  }
+
+  const invalidos = scopes.filter((scope) => !permissaoValida(scope));
+  if (invalidos.length > 0) {
+    throw erroHttp(400, `Scopes inválidos: ${invalidos.join(", ")}`);
+  }
+
+  const permissoes = req.usuarioAutenticado.permissoes;
+  const negado = scopes.find((scope) => !podeConceder(permissoes, scope));
+  if (negado) throw acessoNegado(negado);
+}
+
+// Scope da chave que o usuário autenticado não poderia conceder. Só quem criou
+// a chave ou quem tem todos os scopes dela pode vê-la, revogá-la ou
+// rotacioná-la: rotacionar entrega o novo segredo, e com ele as permissões.
+function scopeNaoGerenciavel(req, apiKey) {
+  const { id, permissoes } = req.usuarioAutenticado;
+  if (id && apiKey.criadaPor?.equals(id)) return undefined;
+  return apiKey.scopes.find((scope) => !podeConceder(permissoes, scope));
+}
+
+// Carrega a chave do parâmetro :id, com 403 se o usuário não puder gerenciá-la
+async function carregarApiKeyGerenciavel(req) {
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) throw erroHttp(404, "API key não encontrada");
+
+  const negado = scopeNaoGerenciavel(req, apiKey);
+  if (negado) throw acessoNegado(negado, `api-key:${apiKey.keyId}`);
+  return apiKey;
+}
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: x-api-key
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         nome:
+ *           type: string
+ *           example: Job de importação
+ *         keyId:
+ *           type: string
+ *           description: Parte pública da chave, usada nos logs
+ *           example: 9f86d081884c7d65
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["produtos:write", "s3:write:arquivos/importacao/*"]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *         criadaPor:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     tags:
+ *       - API keys
+ *     summary: Criar uma API key
+ *     description: A chave completa (campo key) só é retornada nesta resposta; guarde-a em local seguro. Os scopes usam o formato das permissões dos papéis e não podem ir além das permissões de quem cria a chave.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - scopes
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["produtos:read", "s3:write:arquivos/importacao/*"]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Validade em dias (0 = sem validade). Padrão API_KEY_DEFAULT_EXPIRES_DAYS.
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Data de expiração (alternativa a expiresInDays)
+ *     responses:
+ *       201:
+ *         description: API key criada (campos apiKey e key)
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ */
+app.post("/api-keys", exigirPermissao("apikeys:write"), async (req, res) => {
+  try {
+    const { nome, scopes, expiresAt, expiresInDays } = req.body || {};
+
+    if (!nome) {
+      return res.status(400).json({ error: "Nome é obrigatório" });
+    }
+    validarScopes(req, scopes);
+
+    const { keyId, chave, hash } = gerarApiKey();
+    const apiKey = await ApiKey.create({
+      nome,
+      keyId,
+      hash,
+      scopes,
+      expiresAt: validadeApiKey({ expiresAt, expiresInDays }),
+      criadaPor: req.usuarioAutenticado.id,
     });
+
+    logInfo("API key criada", req, { apiKeyId: keyId, scopes });
+    res.status(201).json({ apiKey, key: chave });
+  } catch (error) {
+    if (error.status === 403) return responderAcessoNegado(req, res, error);
+    if (error.status || error.name === "ValidationError") {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    logError("Erro ao criar API key", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
   }
 });
 
 /**
  * @swagger
- * /init-db:
+ * /api-keys:
+ *   get:
+ *     tags:
+ *       - API keys
+ *     summary: Listar as API keys
+ *     description: Lista as chaves com scopes, validade e último uso. O segredo nunca é retornado. Só aparecem as chaves criadas pelo usuário ou cujos scopes ele também tem.
+ *     parameters:
+ *       - in: query
+ *         name: ativas
+ *         schema:
+ *           type: boolean
+ *         description: Somente chaves não revogadas e não expiradas
+ *     responses:
+ *       200:
+ *         description: Lista de API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ */
+app.get("/api-keys", exigirPermissao("apikeys:read"), async (req, res) => {
+  try {
+    const filtro =
+      req.query.ativas === "true"
+        ? {
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+          }
+        : {};
+    const apiKeys = await ApiKey.find(filtro).sort({ createdAt: -1 });
+
+    res.json(apiKeys.filter((apiKey) => !scopeNaoGerenciavel(req, apiKey)));
+  } catch (error) {
+    logError("Erro ao listar API keys", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     tags:
+ *       - API keys
+ *     summary: Revogar uma API key
+ *     description: A chave deixa de ser aceita imediatamente. O registro é mantido para auditoria. Só quem criou a chave ou tem todos os scopes dela pode revogá-la.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revogada
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: API key não encontrada
+ */
+app.delete(
+  "/api-keys/:id",
+  exigirPermissao("apikeys:write"),
+  async (req, res) => {
+    try {
+      const existente = await carregarApiKeyGerenciavel(req);
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: existente._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+      if (!apiKey) {
+        return res.status(400).json({ error: "API key já está revogada" });
+      }
+
+      logInfo("API key revogada", req, { apiKeyId: apiKey.keyId });
+      res.json({ message: "API key revogada com sucesso", apiKey });
+    } catch (error) {
+      if (error.name === "CastError") {
+        return res.status(400).json({ error: "ID inválido" });
+      }
+      if (error.status === 403) return responderAcessoNegado(req, res, error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logError("Erro ao revogar API key", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api-keys/{id}/rotate:
  *   post:
  *     tags:
- *       - CRUD MySQL
- *     summary: Cria o banco de dados e a tabela produto
- *     description: Inicializa o banco de dados MySQL e cria a tabela de produtos.
+ *       - API keys
+ *     summary: Rotacionar o segredo de uma API key
+ *     description: Gera um novo segredo mantendo keyId, scopes e validade. O segredo anterior deixa de valer imediatamente; a nova chave só é retornada nesta resposta. Só quem criou a chave ou tem todos os scopes dela pode rotacioná-la.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Nova validade em dias (mantém a atual se omitido)
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       200:
- *         description: Banco de dados e tabela criados com sucesso
- *       500:
- *         description: Erro ao criar banco de dados
+ *         description: Segredo rotacionado (campos apiKey e key)
+ *       400:
+ *         description: API key revogada ou dados inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: API key não encontrada
+ */
+app.post(
+  "/api-keys/:id/rotate",
+  exigirPermissao("apikeys:write"),
+  async (req, res) => {
+    try {
+      const { expiresAt, expiresInDays } = req.body || {};
+      const apiKey = await carregarApiKeyGerenciavel(req);
+      if (apiKey.revokedAt) {
+        return res.status(400).json({ error: "API key está revogada" });
+      }
+
+      const { chave, hash } = gerarApiKey(apiKey.keyId);
+      apiKey.hash = hash;
+      apiKey.rotatedAt = new Date();
+      if (expiresAt !== undefined || expiresInDays !== undefined) {
+        apiKey.expiresAt = validadeApiKey({ expiresAt, expiresInDays });
+      }
+      await apiKey.save();
+
+      logInfo("API key rotacionada", req, { apiKeyId: apiKey.keyId });
+      res.json({ apiKey, key: chave });
+    } catch (error) {
+      if (error.name === "CastError") {
+        return res.status(400).json({ error: "ID inválido" });
+      }
+      if (error.status === 403) return responderAcessoNegado(req, res, error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logError("Erro ao rotacionar API key", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+//#endregion
+
+//#region S3
+// AWS SDK irá automaticamente usar IAM Role da instância EC2
+AWS.config.update({
+  region: process.env.REGION,
+});
+
+// computeChecksums: o SDK envia o Content-MD5 de cada parte do upload para o S3 validar
+const s3 = new AWS.S3({ computeChecksums: true });
+
+/**
+ * @swagger
+ * /buckets:
+ *   get:
+ *     summary: Lista todos os buckets
+ *     tags:
+ *       - Buckets
+ *     responses:
+ *       200:
+ *         description: Lista de todos os buckets
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
  */
-app.post("/init-db", async (req, res) => {
+app.get("/buckets", limitar("listarBuckets"), async (req, res) => {
+  const { permissoes } = req.usuarioAutenticado;
+  if (!alcancaBucket(permissoes, "s3:read")) {
+    return responderAcessoNegado(req, res, acessoNegado("s3:read"));
+  }
+
   try {
-    // Primeiro, criar o banco de dados
-    await pool.query(`CREATE DATABASE IF NOT EXISTS \`${DB_NAME}\``);
-
-    // Depois, usar o banco de dados e criar a tabela
-    await pool.query(`USE \`${DB_NAME}\``);
-
-    const createTableQuery = `CREATE TABLE IF NOT EXISTS produto (
-      Id INT AUTO_INCREMENT PRIMARY KEY,
-      Nome VARCHAR(255) NOT NULL,
-      Descricao VARCHAR(255) NOT NULL,
-      Preco DECIMAL(10,2) NOT NULL,
-      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    )`;
-
-    await pool.query(createTableQuery);
-
-    logInfo("Banco de dados e tabela criados com sucesso", req);
-    res
-      .status(200)
-      .json({ message: "Banco de dados e tabela criados com sucesso." });
-  } catch (err) {
-    logError("Erro ao criar banco de dados: " + err.message, req, err);
-    res.status(500).json({ error: err.message });
+    const data = await s3.listBuckets().promise();
+    // Só os buckets em que o usuário tem alguma permissão de leitura
+    const buckets = data.Buckets.filter((bucket) =>
+      alcancaBucket(permissoes, "s3:read", bucket.Name)
+    );
+    logInfo("Buckets encontrados", req, buckets);
+    res.status(200).json(buckets);
+  } catch (error) {
+    logError("Erro ao buscar buckets", req, error);
+    res.status(500).json({ error: "Erro ao listar buckets", details: error });
+  }
+});
+
+// Regras de nome de bucket do S3 (3 a 63 caracteres, minúsculas, números, "." e "-")
+const BUCKET_NAME_REGEX = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+// Nomes de região da AWS (ex. us-east-1, sa-east-1, us-gov-west-1)
+const REGIAO_REGEX = /^[a-z]{2}(-gov)?-[a-z]+-\d$/;
+
+// Converte { chave: valor } no TagSet do S3 e vice-versa
+const paraTagSet = (tags) =>
+  Object.entries(tags).map(([Key, Value]) => ({ Key, Value }));
+const deTagSet = (tagSet) =>
+  Object.fromEntries(tagSet.map((tag) => [tag.Key, tag.Value]));
+
+// Tags e metadados: objeto simples com valores do tipo texto
+const objetoDeTextos = (valor) =>
+  typeof valor === "object" &&
+  valor !== null &&
+  !Array.isArray(valor) &&
+  Object.values(valor).every((item) => typeof item === "string");
+
+// Responde um erro retornado pelo S3 mantendo o status (404, 409...) quando houver
+function responderErroS3(req, res, error, mensagem) {
+  logError(mensagem, req, error);
+  res.status(error.status || error.statusCode || 500).json({
+    error: mensagem,
+    code: error.code,
+    details: error.message,
+  });
+}
+
+/**
+ * @swagger
+ * /buckets:
+ *   post:
+ *     summary: Cria um bucket
+ *     tags:
+ *       - Buckets
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nome do bucket (3 a 63 caracteres, minúsculas, números, "." e "-")
+ *               region:
+ *                 type: string
+ *                 description: Região do bucket (padrão a região da API)
+ *               versioning:
+ *                 type: boolean
+ *                 description: Já cria o bucket com versionamento habilitado
+ *               tags:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Bucket criado com sucesso
+ *       400:
+ *         description: Nome de bucket, região, versioning ou tags inválidos
+ *       409:
+ *         description: Já existe um bucket com esse nome
+ */
+app.post(
+  "/buckets",
+  exigirPermissao("s3:admin", { alvo: (req) => req.body?.name }),
+  async (req, res) => {
+    const { name, versioning, tags } = req.body || {};
+    const region = req.body?.region || process.env.REGION;
+
+    if (!name || !BUCKET_NAME_REGEX.test(name)) {
+      return res.status(400).json({
+        error:
+          "Nome do bucket deve ter de 3 a 63 caracteres: letras minúsculas, números, '.' e '-'",
+      });
+    }
+
+    // A região vai para o endpoint do cliente do S3: só nomes de região da AWS
+    if (req.body?.region && !REGIAO_REGEX.test(req.body.region)) {
+      return res
+        .status(400)
+        .json({ error: "region deve ser uma região da AWS (ex. sa-east-1)" });
+    }
+
+    if (versioning !== undefined && typeof versioning !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "versioning deve ser true ou false" });
+    }
+
+    if (tags !== undefined && !objetoDeTextos(tags)) {
+      return res
+        .status(400)
+        .json({ error: "tags deve ser um objeto com valores do tipo texto" });
+    }
+
+    // A criação precisa ser feita no endpoint da região do bucket
+    const s3Regiao =
+      region === process.env.REGION ? s3 : new AWS.S3({ region });
+
+    try {
+      const params = { Bucket: name };
+      // us-east-1 é a região padrão e não aceita LocationConstraint
+      if (region && region !== "us-east-1") {
+        params.CreateBucketConfiguration = { LocationConstraint: region };
+      }
+
+      const data = await s3Regiao.createBucket(params).promise();
+
+      // Se o versionamento ou as tags falharem, o bucket recém-criado (ainda
+      // vazio) é removido, para a resposta de erro corresponder ao estado real
+      try {
+        if (versioning) {
+          await s3Regiao
+            .putBucketVersioning({
+              Bucket: name,
+              VersioningConfiguration: { Status: "Enabled" },
+            })
+            .promise();
+        }
+
+        if (tags && Object.keys(tags).length > 0) {
+          await s3Regiao
+            .putBucketTagging({
+              Bucket: name,
+              Tagging: { TagSet: paraTagSet(tags) },
+            })
+            .promise();
+        }
+      } catch (error) {
+        await s3Regiao
+          .deleteBucket({ Bucket: name })
+          .promise()
+          .catch((erro) =>
+            logError(
+              "Erro ao remover bucket após falha na criação",
+              req,
+              erro,
+              { name }
+            )
+          );
+        throw error;
+      }
+
+      logInfo("Bucket criado", req, { name, region, versioning: !!versioning });
+      res.status(201).json({
+        message: "Bucket criado com sucesso",
+        bucket: name,
+        region,
+        location: data.Location,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao criar bucket");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}:
+ *   delete:
+ *     summary: Remove um bucket vazio
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Bucket removido com sucesso
+ *       404:
+ *         description: Bucket não encontrado
+ *       409:
+ *         description: O bucket não está vazio
+ */
+app.delete(
+  "/buckets/:bucketName",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      await s3.deleteBucket({ Bucket: bucketName }).promise();
+      logInfo("Bucket removido", req, { bucketName });
+      res
+        .status(200)
+        .json({ message: "Bucket removido com sucesso", bucket: bucketName });
+    } catch (error) {
+      if (error.code === "BucketNotEmpty") {
+        return res.status(409).json({
+          error: "O bucket não está vazio. Remova os arquivos antes do bucket.",
+          bucket: bucketName,
+        });
+      }
+      responderErroS3(req, res, error, "Erro ao remover bucket");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/versioning:
+ *   get:
+ *     summary: Consulta o versionamento do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Status do versionamento (Enabled, Suspended ou Disabled)
+ *   put:
+ *     summary: Habilita ou suspende o versionamento do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Versionamento atualizado
+ */
+app.get(
+  "/buckets/:bucketName/versioning",
+  exigirPermissao("s3:read", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      const data = await s3
+        .getBucketVersioning({ Bucket: bucketName })
+        .promise();
+      // Buckets que nunca tiveram versionamento não retornam Status
+      const status = data.Status || "Disabled";
+      logInfo("Versionamento consultado", req, { bucketName, status });
+      res.status(200).json({ bucket: bucketName, status });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao consultar versionamento");
+    }
+  }
+);
+
+app.put(
+  "/buckets/:bucketName/versioning",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const { enabled } = req.body || {};
+
+    if (typeof enabled !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "enabled é obrigatório e deve ser true ou false" });
+    }
+
+    // Depois de habilitado, o versionamento só pode ser suspenso (não desabilitado)
+    const status = enabled ? "Enabled" : "Suspended";
+
+    try {
+      await s3
+        .putBucketVersioning({
+          Bucket: bucketName,
+          VersioningConfiguration: { Status: status },
+        })
+        .promise();
+      logInfo("Versionamento atualizado", req, { bucketName, status });
+      res.status(200).json({
+        message: "Versionamento atualizado com sucesso",
+        bucket: bucketName,
+        status,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao atualizar versionamento");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/cors:
+ *   get:
+ *     summary: Consulta as regras de CORS do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Regras de CORS (lista vazia se não houver)
+ *   put:
+ *     summary: Define as regras de CORS do bucket
+ *     description: Substitui todas as regras de CORS do bucket. As regras seguem o formato CORSRule do S3.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rules
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     AllowedOrigins:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     AllowedMethods:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     AllowedHeaders:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     ExposeHeaders:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     MaxAgeSeconds:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Regras de CORS atualizadas
+ *   delete:
+ *     summary: Remove as regras de CORS do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Regras de CORS removidas
+ */
+app.get(
+  "/buckets/:bucketName/cors",
+  exigirPermissao("s3:read", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      const data = await s3.getBucketCors({ Bucket: bucketName }).promise();
+      logInfo("CORS do bucket consultado", req, { bucketName });
+      res.status(200).json({ bucket: bucketName, rules: data.CORSRules });
+    } catch (error) {
+      if (error.code === "NoSuchCORSConfiguration") {
+        return res.status(200).json({ bucket: bucketName, rules: [] });
+      }
+      responderErroS3(req, res, error, "Erro ao consultar CORS do bucket");
+    }
+  }
+);
+
+app.put(
+  "/buckets/:bucketName/cors",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const { rules } = req.body || {};
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "rules deve ser uma lista de regras não vazia" });
+    }
+
+    try {
+      await s3
+        .putBucketCors({
+          Bucket: bucketName,
+          CORSConfiguration: { CORSRules: rules },
+        })
+        .promise();
+      logInfo("CORS do bucket atualizado", req, { bucketName, rules });
+      res.status(200).json({
+        message: "Regras de CORS atualizadas com sucesso",
+        bucket: bucketName,
+        rules,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao atualizar CORS do bucket");
+    }
+  }
+);
+
+app.delete(
+  "/buckets/:bucketName/cors",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      await s3.deleteBucketCors({ Bucket: bucketName }).promise();
+      logInfo("CORS do bucket removido", req, { bucketName });
+      res.status(200).json({
+        message: "Regras de CORS removidas com sucesso",
+        bucket: bucketName,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao remover CORS do bucket");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/lifecycle:
+ *   get:
+ *     summary: Consulta as regras de ciclo de vida do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Regras de ciclo de vida (lista vazia se não houver)
+ *   put:
+ *     summary: Define as regras de ciclo de vida do bucket
+ *     description: Substitui todas as regras de ciclo de vida (expiração, transição de storage class...). As regras seguem o formato LifecycleRule do S3.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rules
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example:
+ *                   - ID: expirar-temp
+ *                     Status: Enabled
+ *                     Filter:
+ *                       Prefix: temp/
+ *                     Expiration:
+ *                       Days: 7
+ *     responses:
+ *       200:
+ *         description: Regras de ciclo de vida atualizadas
+ *   delete:
+ *     summary: Remove as regras de ciclo de vida do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Regras de ciclo de vida removidas
+ */
+app.get(
+  "/buckets/:bucketName/lifecycle",
+  exigirPermissao("s3:read", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      const data = await s3
+        .getBucketLifecycleConfiguration({ Bucket: bucketName })
+        .promise();
+      logInfo("Ciclo de vida do bucket consultado", req, { bucketName });
+      res.status(200).json({ bucket: bucketName, rules: data.Rules });
+    } catch (error) {
+      if (error.code === "NoSuchLifecycleConfiguration") {
+        return res.status(200).json({ bucket: bucketName, rules: [] });
+      }
+      responderErroS3(req, res, error, "Erro ao consultar ciclo de vida");
+    }
+  }
+);
+
+app.put(
+  "/buckets/:bucketName/lifecycle",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const { rules } = req.body || {};
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "rules deve ser uma lista de regras não vazia" });
+    }
+
+    try {
+      await s3
+        .putBucketLifecycleConfiguration({
+          Bucket: bucketName,
+          LifecycleConfiguration: { Rules: rules },
+        })
+        .promise();
+      logInfo("Ciclo de vida do bucket atualizado", req, { bucketName, rules });
+      res.status(200).json({
+        message: "Regras de ciclo de vida atualizadas com sucesso",
+        bucket: bucketName,
+        rules,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao atualizar ciclo de vida");
+    }
+  }
+);
+
+app.delete(
+  "/buckets/:bucketName/lifecycle",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      await s3.deleteBucketLifecycle({ Bucket: bucketName }).promise();
+      logInfo("Ciclo de vida do bucket removido", req, { bucketName });
+      res.status(200).json({
+        message: "Regras de ciclo de vida removidas com sucesso",
+        bucket: bucketName,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao remover ciclo de vida");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/tags:
+ *   get:
+ *     summary: Consulta as tags do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Tags do bucket (objeto chave-valor)
+ *   put:
+ *     summary: Define as tags do bucket
+ *     description: Substitui todas as tags do bucket.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   cliente: acme
+ *                   ambiente: producao
+ *     responses:
+ *       200:
+ *         description: Tags atualizadas
+ *   delete:
+ *     summary: Remove todas as tags do bucket
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     responses:
+ *       200:
+ *         description: Tags removidas
+ */
+app.get(
+  "/buckets/:bucketName/tags",
+  exigirPermissao("s3:read", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      const data = await s3.getBucketTagging({ Bucket: bucketName }).promise();
+      logInfo("Tags do bucket consultadas", req, { bucketName });
+      res.status(200).json({ bucket: bucketName, tags: deTagSet(data.TagSet) });
+    } catch (error) {
+      if (error.code === "NoSuchTagSet") {
+        return res.status(200).json({ bucket: bucketName, tags: {} });
+      }
+      responderErroS3(req, res, error, "Erro ao consultar tags do bucket");
+    }
+  }
+);
+
+app.put(
+  "/buckets/:bucketName/tags",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const { tags } = req.body || {};
+
+    if (!objetoDeTextos(tags)) {
+      return res
+        .status(400)
+        .json({ error: "tags deve ser um objeto com valores do tipo texto" });
+    }
+
+    try {
+      await s3
+        .putBucketTagging({
+          Bucket: bucketName,
+          Tagging: { TagSet: paraTagSet(tags) },
+        })
+        .promise();
+      logInfo("Tags do bucket atualizadas", req, { bucketName, tags });
+      res.status(200).json({
+        message: "Tags atualizadas com sucesso",
+        bucket: bucketName,
+        tags,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao atualizar tags do bucket");
+    }
+  }
+);
+
+app.delete(
+  "/buckets/:bucketName/tags",
+  exigirPermissao("s3:admin", { alvo: alvoBucket }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+
+    try {
+      await s3.deleteBucketTagging({ Bucket: bucketName }).promise();
+      logInfo("Tags do bucket removidas", req, { bucketName });
+      res
+        .status(200)
+        .json({ message: "Tags removidas com sucesso", bucket: bucketName });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao remover tags do bucket");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}:
+ *   get:
+ *     summary: Lista os objetos de um bucket
+ *     description: Lista paginada dos objetos do bucket. Com delimiter (ex. "/"), as "pastas" do nível atual são retornadas em folders.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: query
+ *         name: prefix
+ *         description: Lista apenas as chaves que começam com o prefixo (ex. "fotos/2024/")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: delimiter
+ *         description: Caractere que separa as "pastas" (normalmente "/")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: maxKeys
+ *         description: Quantidade máxima de itens por página (padrão 1000, máximo 1000)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *       - in: query
+ *         name: continuationToken
+ *         description: Cursor retornado em nextToken pela página anterior
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista dos objetos do bucket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 objects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       Key:
+ *                         type: string
+ *                       LastModified:
+ *                         type: string
+ *                         format: date-time
+ *                       ETag:
+ *                         type: string
+ *                       Size:
+ *                         type: integer
+ *                       StorageClass:
+ *                         type: string
+ *                 folders:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 prefix:
+ *                   type: string
+ *                 delimiter:
+ *                   type: string
+ *                 keyCount:
+ *                   type: integer
+ *                 isTruncated:
+ *                   type: boolean
+ *                 nextToken:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+app.get(
+  "/buckets/:bucketName",
+  exigirPermissao("s3:read", {
+    alvo: (req) => `${req.params.bucketName}/${req.query.prefix || ""}`,
+    prefixo: true,
+  }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const { prefix, delimiter, continuationToken } = req.query;
+    const maxKeys = req.query.maxKeys ? parseInt(req.query.maxKeys) : 1000;
+
+    if (isNaN(maxKeys) || maxKeys < 1 || maxKeys > 1000) {
+      return res
+        .status(400)
+        .json({ error: "maxKeys deve ser um número entre 1 e 1000" });
+    }
+
+    // Parâmetros repetidos na query string chegam como lista
+    const repetido = ["prefix", "delimiter", "continuationToken"].find(
+      (nome) =>
+        req.query[nome] !== undefined && typeof req.query[nome] !== "string"
+    );
+    if (repetido) {
+      return res
+        .status(400)
+        .json({ error: `${repetido} deve ser informado uma única vez` });
+    }
+
+    const params = {
+      Bucket: bucketName,
+      Prefix: prefix,
+      Delimiter: delimiter,
+      MaxKeys: maxKeys,
+      ContinuationToken: continuationToken,
+    };
+
+    try {
+      const data = await s3.listObjectsV2(params).promise();
+      const folders = (data.CommonPrefixes || []).map((item) => item.Prefix);
+
+      logInfo("Objetos encontrados", req, {
+        bucketName,
+        prefix,
+        count: data.KeyCount,
+        isTruncated: data.IsTruncated,
+      });
+      res.status(200).json({
+        objects: data.Contents,
+        folders,
+        prefix: data.Prefix,
+        delimiter: data.Delimiter,
+        keyCount: data.KeyCount,
+        isTruncated: data.IsTruncated,
+        nextToken: data.NextContinuationToken || null,
+      });
+    } catch (error) {
+      logError("Erro ao buscar objetos", req, error);
+      res
+        .status(error.code === "InvalidArgument" ? 400 : 500)
+        .json({ error: "Erro ao listar objetos do bucket", details: error });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/upload:
+ *   post:
+ *     summary: Faz o upload de um arquivo para um bucket
+ *     description: Os parâmetros path e onConflict podem ser enviados na query string ou como campos do formulário. Os campos do formulário (incluindo metadata e tags) devem vir antes do arquivo.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: query
+ *         name: path
+ *         description: Pasta (prefixo) de destino do arquivo (ex. "documentos/2024")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: onConflict
+ *         description: O que fazer se a chave já existir (padrão S3_UPLOAD_ON_CONFLICT ou overwrite)
+ *         schema:
+ *           type: string
+ *           enum: [overwrite, reject, rename, uuid]
+ *       - in: query
+ *         name: encryption
+ *         description: Criptografia no servidor
+ *         schema:
+ *           type: string
+ *           enum: [none, sse-s3, sse-kms, sse-c]
+ *       - in: query
+ *         name: derivatives
+ *         description: Derivados de imagem a gerar ("true" para todos os configurados em IMAGE_DERIVATIVES ou lista como "thumb,medio")
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-amz-server-side-encryption-customer-key
+ *         description: Chave AES-256 em base64 para SSE-C
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               onConflict:
+ *                 type: string
+ *                 enum: [overwrite, reject, rename, uuid]
+ *               encryption:
+ *                 type: string
+ *                 enum: [none, sse-s3, sse-kms, sse-c]
+ *                 description: Criptografia no servidor (padrão definido por bucket em UPLOAD_RULES ou S3_DEFAULT_ENCRYPTION)
+ *               kmsKeyId:
+ *                 type: string
+ *                 description: ID ou ARN da chave KMS (encryption=sse-kms)
+ *               derivatives:
+ *                 type: string
+ *                 description: Derivados de imagem a gerar (true ou lista de nomes)
+ *               md5:
+ *                 type: string
+ *                 description: MD5 esperado do arquivo (hex ou base64). Se não conferir, o upload é recusado com 400; se conferir, fica no metadado x-amz-meta-md5
+ *               sha256:
+ *                 type: string
+ *                 description: SHA-256 esperado do arquivo (hex ou base64). Se não conferir, o upload é recusado com 400; se conferir, fica no metadado x-amz-meta-sha256
+ *               metadata:
+ *                 type: string
+ *                 description: Metadados x-amz-meta-* em JSON (ex. {"cliente":"acme"}), também aceita metadata[cliente]=acme ou campos x-amz-meta-cliente=acme
+ *               tags:
+ *                 type: string
+ *                 description: Tags do objeto em JSON (ex. {"tipo":"nota-fiscal"}), também aceita tags[tipo]=nota-fiscal
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Arquivo enviado com sucesso. Para imagens com derivados, as chaves geradas ficam em data.Derivatives (ou o erro em data.DerivativesError)
+ *       400:
+ *         description: Nenhum arquivo enviado, parâmetros inválidos ou checksum (md5/sha256) não confere
+ *       409:
+ *         description: Já existe um arquivo com a mesma chave (onConflict=reject)
+ *       413:
+ *         description: Arquivo excede o tamanho máximo permitido
+ *       415:
+ *         description: Tipo de arquivo não permitido (detectado pelo conteúdo) ou executável
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
+ */
+const MB = 1024 * 1024;
+
+// Configuração do upload multipart em streaming para o S3
+const UPLOAD_PART_SIZE = (parseInt(process.env.S3_UPLOAD_PART_SIZE_MB) || 10) * MB;
+const UPLOAD_QUEUE_SIZE = parseInt(process.env.S3_UPLOAD_QUEUE_SIZE) || 4;
+const UPLOAD_MAX_FILE_SIZE =
+  (parseInt(process.env.S3_UPLOAD_MAX_FILE_SIZE_MB) || 5 * 1024) * MB;
+const UPLOAD_MAX_FILES = parseInt(process.env.S3_UPLOAD_MAX_FILES) || 20;
+
+// Limites do multipart do S3: partes de ao menos 5 MB e no máximo 10.000 partes
+// por objeto. Uma configuração fora deles impede a aplicação de subir, em vez
+// de falhar só nos uploads grandes.
+if (UPLOAD_PART_SIZE < 5 * MB) {
+  throw new Error("S3_UPLOAD_PART_SIZE_MB deve ser de pelo menos 5");
+}
+if (Math.ceil(UPLOAD_MAX_FILE_SIZE / UPLOAD_PART_SIZE) > 10000) {
+  throw new Error(
+    "S3_UPLOAD_MAX_FILE_SIZE_MB / S3_UPLOAD_PART_SIZE_MB não pode passar de 10000 partes"
+  );
+}
+
+// Política quando já existe um objeto com a mesma chave:
+//   overwrite - sobrescreve o objeto existente
+//   reject    - recusa o upload com 409
+//   rename    - adiciona um sufixo numérico ao nome (foto-1.jpg, foto-2.jpg...)
+//   uuid      - gera um nome único (UUID) mantendo a extensão
+const POLITICAS_CONFLITO = ["overwrite", "reject", "rename", "uuid"];
+const UPLOAD_ON_CONFLICT = process.env.S3_UPLOAD_ON_CONFLICT || "overwrite";
+
+// Normaliza a pasta de destino: sem "/" no início, sem "." ou ".." e terminada em "/"
+function normalizarPasta(pasta) {
+  const partes = String(pasta || "")
+    .split("/")
+    .map((parte) => parte.trim())
+    .filter((parte) => parte && parte !== "." && parte !== "..");
+
+  return partes.length ? partes.join("/") + "/" : "";
+}
+
+async function objetoExiste(bucket, key) {
+  try {
+    await s3.headObject({ Bucket: bucket, Key: key }).promise();
+    return true;
+  } catch (error) {
+    if (error.statusCode === 404) return false;
+    throw error;
+  }
+}
+
+// Monta a chave do objeto a partir da pasta de destino e da política de conflito
+async function gerarChave(bucket, pasta, nomeArquivo, politica) {
+  const nome = sanitizarNomeArquivo(nomeArquivo);
+  const extensao = path.posix.extname(nome);
+  const base = nome.slice(0, nome.length - extensao.length);
+
+  if (politica === "uuid") {
+    return `${pasta}${crypto.randomUUID()}${extensao}`;
+  }
+
+  const key = `${pasta}${nome}`;
+  if (politica === "overwrite" || !(await objetoExiste(bucket, key))) {
+    return key;
+  }
+
+  if (politica === "reject") {
+    throw erroHttp(409, `Já existe um arquivo com a chave "${key}"`);
+  }
+
+  for (let i = 1; i <= 100; i++) {
+    const candidata = `${pasta}${base}-${i}${extensao}`;
+    if (!(await objetoExiste(bucket, candidata))) return candidata;
+  }
+
+  // Muitas colisões com o mesmo nome: recorre a um nome único
+  return `${pasta}${base}-${crypto.randomUUID()}${extensao}`;
+}
+
+// Lê um campo do formulário com pares chave/valor (metadata e tags). Aceita JSON
+// ({"cliente":"acme"}) ou a notação de colchetes (metadata[cliente]=acme)
+function lerCampoObjeto(valor, nome) {
+  if (valor === undefined) return undefined;
+
+  let objeto = valor;
+  if (typeof valor === "string") {
+    try {
+      objeto = JSON.parse(valor);
+    } catch (error) {
+      throw erroHttp(400, `${nome} deve ser um JSON válido`);
+    }
+  }
+
+  if (!objetoDeTextos(objeto)) {
+    throw erroHttp(400, `${nome} deve ser um objeto com valores do tipo texto`);
+  }
+  return objeto;
+}
+
+// Metadados do upload: o campo metadata (ver lerCampoObjeto) e os campos
+// x-amz-meta-<nome> do formulário, no mesmo formato dos cabeçalhos do S3
+function lerMetadadosUpload(body = {}) {
+  const metadata = { ...lerCampoObjeto(body.metadata, "metadata") };
+  for (const [campo, valor] of Object.entries(body)) {
+    const [, nome] = /^x-amz-meta-(.+)$/i.exec(campo) || [];
+    if (!nome) continue;
+    if (typeof valor !== "string") {
+      throw erroHttp(400, `${campo} deve ser informado uma única vez`);
+    }
+    metadata[nome.toLowerCase()] = valor;
+  }
+  return Object.keys(metadata).length > 0 ? metadata : undefined;
+}
+
+// Lê um parâmetro do upload da query string ou dos campos do formulário
+// (os campos só estão disponíveis se vierem antes do arquivo no multipart)
+const parametroUpload = (req, nome) => req.query[nome] ?? req.body?.[nome];
+
+// Cabeçalho com a chave SSE-C (256 bits em base64), no mesmo formato do S3
+const HEADER_SSE_C_KEY = "x-amz-server-side-encryption-customer-key";
+
+// Parâmetros SSE-C a partir da chave enviada no cabeçalho. O SDK calcula o MD5
+// e codifica a chave, por isso ela é repassada decodificada.
+function paramsSseC(req) {
+  const chave = req.get(HEADER_SSE_C_KEY);
+  if (!chave) return {};
+
+  const buffer = Buffer.from(chave, "base64");
+  if (buffer.length !== 32) {
+    throw erroHttp(
+      400,
+      `${HEADER_SSE_C_KEY} deve ser uma chave AES-256 em base64`
+    );
+  }
+  return { SSECustomerAlgorithm: "AES256", SSECustomerKey: buffer };
+}
+
+// Nível de cada criptografia. A do bucket (UPLOAD_RULES ou
+// S3_DEFAULT_ENCRYPTION) é o mínimo: o cliente não pode pedir uma mais fraca.
+const NIVEL_CRIPTOGRAFIA = { none: 0, "sse-s3": 1, "sse-kms": 2, "sse-c": 2 };
+
+// Criptografia mínima exigida pelo bucket (UPLOAD_RULES ou S3_DEFAULT_ENCRYPTION)
+const criptografiaMinima = (regra) =>
+  String(regra.encryption || "none").toLowerCase();
+
+// Tipo de criptografia de um objeto existente, a partir do headObject
+function criptografiaDoObjeto(head) {
+  if (head.SSECustomerAlgorithm) return "sse-c";
+  if (head.ServerSideEncryption === "aws:kms") return "sse-kms";
+  if (head.ServerSideEncryption === "AES256") return "sse-s3";
+  return "none";
+}
+
+// Parâmetros de criptografia do upload: sse-s3, sse-kms (com kmsKeyId) ou
+// sse-c (chave no cabeçalho). Sem escolha do cliente, vale o padrão do bucket.
+function paramsCriptografia(req, regra) {
+  const sseC = paramsSseC(req);
+  const padrao = criptografiaMinima(regra);
+  const tipo = String(
+    parametroUpload(req, "encryption") ||
+      (sseC.SSECustomerKey ? "sse-c" : padrao)
+  ).toLowerCase();
+
+  if (NIVEL_CRIPTOGRAFIA[tipo] < (NIVEL_CRIPTOGRAFIA[padrao] ?? 0)) {
+    throw erroHttp(
+      400,
+      `O bucket exige criptografia ${padrao} ou mais forte: encryption=${tipo} não é aceito`
+    );
+  }
+
+  return paramsDoTipoCriptografia(tipo, {
+    kmsKeyId: parametroUpload(req, "kmsKeyId") || regra.kmsKeyId,
+    sseC,
+  });
+}
+
+// Parâmetros do S3 para um tipo de criptografia (none, sse-s3, sse-kms, sse-c)
+function paramsDoTipoCriptografia(tipo, { kmsKeyId, sseC = {} } = {}) {
+  switch (tipo) {
+    case "none":
+      return {};
+    case "sse-s3":
+      return { ServerSideEncryption: "AES256" };
+    case "sse-kms":
+      return {
+        ServerSideEncryption: "aws:kms",
+        // Sem kmsKeyId o S3 usa a chave gerenciada aws/s3
+        ...(kmsKeyId && { SSEKMSKeyId: kmsKeyId }),
+      };
+    case "sse-c":
+      if (!sseC.SSECustomerKey) {
+        throw erroHttp(
+          400,
+          `SSE-C exige a chave no cabeçalho ${HEADER_SSE_C_KEY}`
+        );
+      }
+      return sseC;
+    default:
+      throw erroHttp(
+        400,
+        "encryption deve ser um dos valores: none, sse-s3, sse-kms, sse-c"
+      );
+  }
+}
+
+const upload = multer({
+  storage: s3Storage({
+    s3,
+    partSize: UPLOAD_PART_SIZE,
+    queueSize: UPLOAD_QUEUE_SIZE,
+    params: async (req, file) => {
+      const politica = parametroUpload(req, "onConflict") || UPLOAD_ON_CONFLICT;
+      if (!POLITICAS_CONFLITO.includes(politica)) {
+        throw erroHttp(
+          400,
+          `onConflict deve ser um dos valores: ${POLITICAS_CONFLITO.join(", ")}`
+        );
+      }
+
+      const pasta = normalizarPasta(parametroUpload(req, "path"));
+      const bucket = req.params.bucketName;
+      // Autoriza a pasta antes de consultar o S3: sem isso, quem não pode gravar
+      // descobriria pelo onConflict quais objetos existem
+      autorizar(req, "s3:write", `${bucket}/${pasta}`, { prefixo: true });
+      const metadata = lerMetadadosUpload(req.body);
+      const tags = lerCampoObjeto(req.body?.tags, "tags");
+      // Valida os derivados pedidos antes de enviar o arquivo
+      variantesSolicitadas(parametroUpload(req, "derivatives"));
+
+      // O tipo gravado no S3 é o detectado pelo conteúdo, não o enviado pelo cliente
+      const regra = regraDoBucket(bucket);
+      const tipo = await detectarTipo(file.inicio, file.mimetype);
+      validarTipo({
+        nome: file.originalname,
+        tipoDeclarado: file.mimetype,
+        tipoDetectado: tipo,
+        tiposPermitidos: regra.allowedTypes,
+      });
+
+      const key = await gerarChave(bucket, pasta, file.originalname, politica);
+      autorizar(req, "s3:write", `${bucket}/${key}`);
+
+      return {
+        Bucket: bucket,
+        Key: key,
+        ContentType: tipo,
+        Metadata: metadata,
+        tags: tags && paraTagSet(tags),
+        ...paramsCriptografia(req, regra),
+        verificacao: {
+          tamanhoMaximo: regra.maxSize,
+          md5: parametroUpload(req, "md5"),
+          sha256: parametroUpload(req, "sha256"),
+        },
+      };
+    },
+    isolarErros: true,
+    bytesInicio: BYTES_DETECCAO,
+  }),
+  limits: { fileSize: UPLOAD_MAX_FILE_SIZE, files: UPLOAD_MAX_FILES },
+});
+
+// Executa o middleware do multer respondendo em JSON os erros de upload
+const receberArquivos = (middleware) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      logError("Erro ao receber arquivo: " + err.message, req, err);
+      return res.status(status).json({
+        message:
+          err.code === "LIMIT_FILE_SIZE"
+            ? `Arquivo excede o tamanho máximo de ${UPLOAD_MAX_FILE_SIZE / MB} MB`
+            : "Erro ao receber arquivo",
+        error: err.message,
+      });
+    }
+
+    // Erros de validação (erroHttp) mantêm o status, ex. 415 para tipo recusado
+    logError("Erro ao efetuar upload", req, err);
+    res.status(err.status || 500).json({
+      message: err.status ? err.message : "Erro no upload",
+      error: err.message,
+    });
+  });
+
+// Resultado do upload de um arquivo, no formato retornado pelo s3.upload
+const resultadoUpload = (file) => ({
+  Location: file.location,
+  ETag: file.etag,
+  Bucket: file.bucket,
+  Key: file.key,
+  VersionId: file.versionId,
+  Size: file.size,
+  ContentType: file.contentType,
+  MD5: file.md5,
+  SHA256: file.sha256,
+  ServerSideEncryption: file.serverSideEncryption,
+  SSEKMSKeyId: file.sseKmsKeyId,
+  SSECustomerAlgorithm: file.sseCustomerAlgorithm,
+  Metadata: file.metadata,
+  Tags: file.tags && deTagSet(file.tags),
+});
+
+// Gera os derivados de imagem pedidos no upload (parâmetro derivatives ou padrão
+// do bucket). Uma falha aqui não desfaz o upload: o erro volta em DerivativesError.
+async function derivadosDoUpload(req, data) {
+  if (!ehImagem(data.ContentType)) return data;
+
+  try {
+    const variantes = variantesSolicitadas(
+      parametroUpload(req, "derivatives") ??
+        regraDoBucket(data.Bucket).derivatives
+    );
+    if (!variantes) return data;
+
+    // Os derivados são gravados com a mesma criptografia do original
+    const sseC = data.SSECustomerAlgorithm ? paramsSseC(req) : {};
+    const derivados = await gerarDerivados(s3, {
+      bucket: data.Bucket,
+      key: data.Key,
+      variantes,
+      leitura: sseC,
+    });
+    return { ...data, Derivatives: derivados };
+  } catch (error) {
+    logError("Erro ao gerar derivados da imagem", req, error);
+    return { ...data, DerivativesError: error.message };
+  }
+}
+
+// Resposta do modo de vários arquivos (campo "files"): relatório por arquivo.
+// Os derivados são gerados um arquivo por vez.
+async function responderUploadMultiplo(req, res, arquivos) {
+  const results = [];
+  for (const file of arquivos) {
+    results.push(
+      file.error
+        ? {
+            fileName: file.originalname,
+            success: false,
+            status: file.error.status || 500,
+            error: file.error.message,
+          }
+        : {
+            fileName: file.originalname,
+            success: true,
+            data: await derivadosDoUpload(req, resultadoUpload(file)),
+          }
+    );
+  }
+  const failed = results.filter((result) => !result.success).length;
+
+  if (failed > 0) {
+    logError("Upload com falhas", req, null, {
+      total: results.length,
+      failed,
+      errors: results.filter((result) => !result.success),
+    });
+  } else {
+    logInfo("Upload efetuado", req, {
+      total: results.length,
+      keys: results.map((result) => result.data.Key),
+      encryption: results.map((result) => ({
+        key: result.data.Key,
+        serverSideEncryption: result.data.ServerSideEncryption,
+        sseKmsKeyId: result.data.SSEKMSKeyId,
+        sseCustomerAlgorithm: result.data.SSECustomerAlgorithm,
+      })),
+      derivatives: results.flatMap((result) =>
+        (result.data.Derivatives || []).map((derivado) => derivado.key)
+      ),
+    });
+  }
+
+  // 207 Multi-Status: o resultado de cada arquivo está em results
+  res.status(failed > 0 ? 207 : 200).json({
+    message:
+      failed > 0
+        ? `${failed} de ${results.length} arquivo(s) não foram enviados`
+        : "Upload concluído com sucesso",
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  });
+}
+
+app.post(
+  "/buckets/:bucketName/upload",
+  limitar("upload"),
+  receberArquivos(
+    upload.fields([
+      { name: "file", maxCount: 1 },
+      { name: "files", maxCount: UPLOAD_MAX_FILES },
+    ])
+  ),
+  async (req, res) => {
+    const arquivos = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+    if (arquivos.length === 0) {
+      return res.status(400).json({ message: "Nenhum arquivo enviado." });
+    }
+
+    if (req.files.files) {
+      return responderUploadMultiplo(req, res, arquivos);
+    }
+
+    // Modo de um arquivo (campo "file"): mantém a resposta original
+    const file = arquivos[0];
+
+    if (file.error?.status === 403) {
+      return responderAcessoNegado(req, res, file.error);
+    }
+
+    if (file.error) {
+      logError("Erro ao efetuar upload", req, file.error);
+      return res.status(file.error.status || 500).json({
+        message: file.error.status ? file.error.message : "Erro no upload",
+        error: file.error.message,
+      });
+    }
+
+    const data = await derivadosDoUpload(req, resultadoUpload(file));
+    logInfo("Upload efetuado", req, data);
+    res.status(200).json({ message: "Upload concluído com sucesso", data });
+  }
+);
+
+// Validade das URLs pré-assinadas (em segundos)
+const PRESIGN_EXPIRES = parseInt(process.env.S3_PRESIGN_EXPIRES) || 900;
+const PRESIGN_MAX_EXPIRES = 7 * 24 * 60 * 60; // Limite do S3 para Signature V4
+
+// Lê o expiresIn informado pelo cliente, aplicando o padrão e o limite do S3
+function lerExpiracao(valor) {
+  if (valor === undefined) return PRESIGN_EXPIRES;
+
+  // Number, e não parseInt: "10abc" e "1.9" são recusados
+  const expiresIn = Number(valor);
+  if (
+    !Number.isInteger(expiresIn) ||
+    expiresIn < 1 ||
+    expiresIn > PRESIGN_MAX_EXPIRES
+  ) {
+    return null;
+  }
+  return expiresIn;
+}
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/presign-upload:
+ *   post:
+ *     summary: Gera uma URL pré-assinada para upload direto no S3
+ *     description: Retorna a URL e os campos de um POST pré-assinado. O navegador deve enviar um multipart/form-data para a URL com todos os campos retornados e o arquivo no campo "file" (por último).
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Chave do objeto no bucket. O nome do arquivo é sanitizado como nos uploads pela API e a chave final volta em key
+ *               contentType:
+ *                 type: string
+ *                 description: Content-Type exigido no upload (padrão application/octet-stream). Precisa estar entre os tipos permitidos do bucket; executáveis são recusados
+ *               minSize:
+ *                 type: integer
+ *                 description: Tamanho mínimo do arquivo em bytes (padrão 0)
+ *               maxSize:
+ *                 type: integer
+ *                 description: Tamanho máximo do arquivo em bytes. Limitado ao maxSizeMB do bucket e a S3_UPLOAD_MAX_FILE_SIZE_MB (padrão)
+ *               encryption:
+ *                 type: string
+ *                 enum: [none, sse-s3, sse-kms]
+ *                 description: Criptografia exigida no upload (padrão a do bucket, que é também a mínima)
+ *               kmsKeyId:
+ *                 type: string
+ *                 description: Chave do KMS para sse-kms
+ *               expiresIn:
+ *                 type: integer
+ *                 description: Validade da URL em segundos (padrão S3_PRESIGN_EXPIRES, máximo 604800)
+ *     responses:
+ *       200:
+ *         description: URL pré-assinada gerada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 fields:
+ *                   type: object
+ *                 expiresIn:
+ *                   type: integer
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Parâmetros inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       415:
+ *         description: Tipo de arquivo não permitido ou executável
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
+ */
+app.post(
+  "/buckets/:bucketName/presign-upload",
+  limitar("upload"),
+  exigirPermissao("s3:write", {
+    alvo: (req) => `${req.params.bucketName}/${req.body?.key}`,
+  }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const {
+      key,
+      contentType = "application/octet-stream",
+      minSize = 0,
+      maxSize,
+      expiresIn: expiresInInformado,
+    } = req.body || {};
+
+    if (!key) {
+      return res.status(400).json({ error: "A chave (key) é obrigatória" });
+    }
+    if (typeof key !== "string" || typeof contentType !== "string") {
+      return res
+        .status(400)
+        .json({ error: "key e contentType devem ser do tipo texto" });
+    }
+
+    const expiresIn = lerExpiracao(expiresInInformado);
+    if (!expiresIn) {
+      return res.status(400).json({
+        error: `expiresIn deve estar entre 1 e ${PRESIGN_MAX_EXPIRES} segundos`,
+      });
+    }
+
+    // O S3 não confere o arquivo: as mesmas regras dos uploads pela API são
+    // aplicadas aqui e gravadas na política (tamanho e Content-Type)
+    const regra = regraDoBucket(bucketName);
+    const limite = Math.min(UPLOAD_MAX_FILE_SIZE, regra.maxSize || Infinity);
+
+    const min = parseInt(minSize);
+    const max = Math.min(parseInt(maxSize ?? limite), limite);
+    if (isNaN(min) || isNaN(max) || min < 0 || max < min) {
+      return res
+        .status(400)
+        .json({ error: "minSize e maxSize devem formar um intervalo válido" });
+    }
+
+    const chave =
+      normalizarPasta(path.posix.dirname(key)) +
+      sanitizarNomeArquivo(path.posix.basename(key));
+
+    let criptografia;
+    try {
+      autorizar(req, "s3:write", `${bucketName}/${chave}`);
+      validarTipo({
+        nome: chave,
+        tipoDeclarado: contentType,
+        tipoDetectado: contentType,
+        tiposPermitidos: regra.allowedTypes,
+      });
+
+      // O formulário vai para o navegador: a chave SSE-C não pode ir junto
+      criptografia = paramsCriptografia(req, regra);
+      if (criptografia.SSECustomerKey) {
+        throw erroHttp(400, "SSE-C não é suportado em uploads pré-assinados");
+      }
+    } catch (error) {
+      if (error.status === 403) return responderAcessoNegado(req, res, error);
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Cada campo vira também uma condição de igualdade na política
+    const fields = {
+      key: chave,
+      "Content-Type": contentType,
+      ...(criptografia.ServerSideEncryption && {
+        "x-amz-server-side-encryption": criptografia.ServerSideEncryption,
+      }),
+      ...(criptografia.SSEKMSKeyId && {
+        "x-amz-server-side-encryption-aws-kms-key-id": criptografia.SSEKMSKeyId,
+      }),
+    };
+
+    try {
+      const data = await new Promise((resolve, reject) =>
+        s3.createPresignedPost(
+          {
+            Bucket: bucketName,
+            Fields: fields,
+            Conditions: [["content-length-range", min, max]],
+            Expires: expiresIn,
+          },
+          (err, result) => (err ? reject(err) : resolve(result))
+        )
+      );
+
+      logInfo("URL de upload pré-assinada gerada", req, {
+        bucketName,
+        key: chave,
+        contentType,
+        maxSize: max,
+        expiresIn,
+      });
+      res.status(200).json({
+        url: data.url,
+        key: chave,
+        fields: data.fields,
+        expiresIn,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      });
+    } catch (error) {
+      logError("Erro ao gerar URL de upload pré-assinada", req, error);
+      res.status(500).json({
+        error: "Erro ao gerar URL de upload pré-assinada",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Content-Disposition de anexo para um nome qualquer. filename leva uma versão
+// ASCII sem aspas, barras invertidas e ";" (acentos são removidos) e
+// filename* (RFC 5987) o nome original em UTF-8, usado pelos navegadores atuais
+function contentDispositionAnexo(nome) {
+  const ascii =
+    nome
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^\x20-\x7e]|["\\;]/g, "_") || "download";
+  const utf8 = encodeURIComponent(nome).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${utf8}`;
+}
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/presign-download/{key}:
+ *   get:
+ *     summary: Gera uma URL pré-assinada para download direto do S3
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: expiresIn
+ *         description: Validade da URL em segundos (padrão S3_PRESIGN_EXPIRES, máximo 604800)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: download
+ *         description: Força o download como anexo (Content-Disposition attachment)
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: URL pré-assinada gerada
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+app.get(
+  "/buckets/:bucketName/presign-download/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    const expiresIn = lerExpiracao(req.query.expiresIn);
+    if (!expiresIn) {
+      return res.status(400).json({
+        error: `expiresIn deve estar entre 1 e ${PRESIGN_MAX_EXPIRES} segundos`,
+      });
+    }
+
+    const params = { Bucket: bucketName, Key: key, Expires: expiresIn };
+    if (req.query.download === "true") {
+      params.ResponseContentDisposition = contentDispositionAnexo(
+        key.split("/").pop()
+      );
+    }
+
+    try {
+      const url = await s3.getSignedUrlPromise("getObject", params);
+
+      logInfo("URL de download pré-assinada gerada", req, {
+        bucketName,
+        key,
+        expiresIn,
+      });
+      res.status(200).json({
+        url,
+        expiresIn,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      });
+    } catch (error) {
+      logError("Erro ao gerar URL de download pré-assinada", req, error);
+      res.status(500).json({
+        error: "Erro ao gerar URL de download pré-assinada",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Lista todas as versões e delete markers de uma chave, do mais recente ao mais antigo
+async function listarVersoes(bucket, key) {
+  const versoes = [];
+  let KeyMarker;
+  let VersionIdMarker;
+
+  do {
+    const data = await s3
+      .listObjectVersions({
+        Bucket: bucket,
+        Prefix: key,
+        KeyMarker,
+        VersionIdMarker,
+      })
+      .promise();
+
+    // O Prefix também traz chaves que só começam com a chave pedida
+    data.Versions.filter((item) => item.Key === key).forEach((item) =>
+      versoes.push({
+        versionId: item.VersionId,
+        isLatest: item.IsLatest,
+        isDeleteMarker: false,
+        lastModified: item.LastModified,
+        size: item.Size,
+        etag: item.ETag,
+      })
+    );
+    data.DeleteMarkers.filter((item) => item.Key === key).forEach((item) =>
+      versoes.push({
+        versionId: item.VersionId,
+        isLatest: item.IsLatest,
+        isDeleteMarker: true,
+        lastModified: item.LastModified,
+      })
+    );
+
+    KeyMarker = data.IsTruncated ? data.NextKeyMarker : undefined;
+    VersionIdMarker = data.IsTruncated ? data.NextVersionIdMarker : undefined;
+  } while (KeyMarker);
+
+  return versoes.sort((a, b) => b.lastModified - a.lastModified);
+}
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/versions/{key}:
+ *   get:
+ *     summary: Lista as versões de um arquivo
+ *     description: Disponível em buckets versionados. Inclui os delete markers.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *     responses:
+ *       200:
+ *         description: Versões do arquivo, da mais recente para a mais antiga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bucket:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       versionId:
+ *                         type: string
+ *                       isLatest:
+ *                         type: boolean
+ *                       isDeleteMarker:
+ *                         type: boolean
+ *                       lastModified:
+ *                         type: string
+ *                         format: date-time
+ *                       size:
+ *                         type: integer
+ *                       etag:
+ *                         type: string
+ *       404:
+ *         description: Nenhuma versão encontrada para a chave
+ */
+app.get(
+  "/buckets/:bucketName/versions/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    try {
+      const versions = await listarVersoes(bucketName, key);
+
+      if (versions.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "Nenhuma versão encontrada para o arquivo", key });
+      }
+
+      logInfo("Versões do objeto encontradas", req, {
+        bucketName,
+        key,
+        count: versions.length,
+      });
+      res.status(200).json({ bucket: bucketName, key, versions });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao listar versões do arquivo");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/restore/{key}:
+ *   post:
+ *     summary: Restaura uma versão anterior do arquivo
+ *     description: Copia a versão informada por cima da chave, tornando-a a versão atual. O histórico de versões é mantido.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - versionId
+ *             properties:
+ *               versionId:
+ *                 type: string
+ *                 description: Versão a ser restaurada
+ *     responses:
+ *       200:
+ *         description: Versão restaurada com sucesso
+ *       400:
+ *         description: versionId não informado ou é um delete marker
+ *       404:
+ *         description: Versão não encontrada
+ */
+app.post(
+  "/buckets/:bucketName/restore/*key",
+  exigirPermissao("s3:write", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+    const { versionId } = req.body || {};
+
+    if (!versionId) {
+      return res.status(400).json({ error: "versionId é obrigatório" });
+    }
+
+    const origem = { bucket: bucketName, key, versionId };
+
+    try {
+      const data = await copiarObjeto({
+        origem,
+        destino: { bucket: bucketName, key },
+        sseC: paramsSseC(req),
+      });
+
+      logInfo("Versão do objeto restaurada", req, {
+        bucketName,
+        key,
+        restoredVersionId: versionId,
+        newVersionId: data.VersionId,
+      });
+      res.status(200).json({
+        message: "Versão restaurada com sucesso",
+        bucket: bucketName,
+        key,
+        restoredVersionId: versionId,
+        data,
+      });
+    } catch (error) {
+      // headObject em um delete marker responde 405
+      if (error.statusCode === 405) {
+        return res.status(400).json({
+          error:
+            "A versão informada é um delete marker e não pode ser restaurada",
+          versionId,
+        });
+      }
+      if (error.statusCode === 404) {
+        return res
+          .status(404)
+          .json({ error: "Versão não encontrada", key, versionId });
+      }
+      responderErroS3(req, res, error, "Erro ao restaurar versão do arquivo");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/delete-marker/{key}:
+ *   delete:
+ *     summary: Recupera um arquivo removido
+ *     description: Remove o delete marker atual do arquivo, fazendo a versão anterior voltar a ser a atual.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *     responses:
+ *       200:
+ *         description: Delete marker removido, arquivo recuperado
+ *       404:
+ *         description: O arquivo não possui um delete marker como versão atual
+ */
+app.delete(
+  "/buckets/:bucketName/delete-marker/*key",
+  exigirPermissao("s3:delete", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    try {
+      const versions = await listarVersoes(bucketName, key);
+      const marcador = versions.find(
+        (versao) => versao.isLatest && versao.isDeleteMarker
+      );
+
+      if (!marcador) {
+        return res.status(404).json({
+          error: "O arquivo não possui um delete marker como versão atual",
+          key,
+        });
+      }
+
+      await s3
+        .deleteObject({
+          Bucket: bucketName,
+          Key: key,
+          VersionId: marcador.versionId,
+        })
+        .promise();
+
+      logInfo("Delete marker removido", req, {
+        bucketName,
+        key,
+        versionId: marcador.versionId,
+      });
+      res.status(200).json({
+        message: "Arquivo recuperado com sucesso",
+        bucket: bucketName,
+        key,
+        removedDeleteMarker: marcador.versionId,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao remover delete marker");
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/resize/{key}:
+ *   post:
+ *     summary: Gera um derivado redimensionado de uma imagem existente
+ *     description: O derivado é gravado em "<pasta>/_derivados/<arquivo>/<name>.<format>", ao lado do original, e sobrescreve um derivado anterior com o mesmo nome.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave da imagem original (pode conter "/")
+ *       - in: header
+ *         name: x-amz-server-side-encryption-customer-key
+ *         description: Chave AES-256 em base64, obrigatória para imagens gravadas com SSE-C
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               width:
+ *                 type: integer
+ *                 description: Largura máxima em pixels (informe width e/ou height)
+ *               height:
+ *                 type: integer
+ *                 description: Altura máxima em pixels
+ *               fit:
+ *                 type: string
+ *                 enum: [cover, contain, inside, outside, fill]
+ *                 description: Ajuste ao tamanho (padrão cover com as duas dimensões, senão inside)
+ *               format:
+ *                 type: string
+ *                 enum: [webp, jpeg, png, avif]
+ *                 description: Formato de saída (padrão webp)
+ *               quality:
+ *                 type: integer
+ *                 description: Qualidade de 1 a 100 (padrão 80)
+ *               name:
+ *                 type: string
+ *                 description: Nome do derivado (padrão LARGURAxALTURA, ex. 300x200)
+ *     responses:
+ *       201:
+ *         description: Derivado gerado
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Arquivo não encontrado
+ *       413:
+ *         description: Imagem grande demais para ser processada (IMAGE_MAX_SIZE_MB)
+ *       415:
+ *         description: O arquivo não é uma imagem
+ *       422:
+ *         description: Não foi possível processar a imagem
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
+ */
+app.post(
+  "/buckets/:bucketName/resize/*key",
+  limitar("upload"),
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  exigirPermissao("s3:write", { alvo: alvoDerivados, prefixo: true }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    try {
+      const opcoes = lerOpcoesDerivado(req.body);
+      const nome = req.body?.name || nomeDerivado(opcoes);
+      if (!/^[\w-]{1,100}$/.test(nome)) {
+        return res.status(400).json({
+          error: "name deve conter apenas letras, números, '-' e '_'",
+        });
+      }
+
+      // O derivado herda a criptografia do original (SSE-C com a mesma chave)
+      const [derivado] = await gerarDerivados(s3, {
+        bucket: bucketName,
+        key,
+        variantes: { [nome]: opcoes },
+        leitura: paramsSseC(req),
+      });
+
+      logInfo("Derivado de imagem gerado", req, { bucketName, key, derivado });
+      res.status(201).json({
+        bucket: bucketName,
+        key,
+        prefix: prefixoDerivados(key),
+        derivative: derivado,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao gerar derivado da imagem");
+    }
+  }
+);
+
+// Metadados de um objeto (headObject) no formato retornado pela API
+const metadadosObjeto = (bucket, key, head) => ({
+  bucket,
+  key,
+  contentType: head.ContentType,
+  contentLength: head.ContentLength,
+  etag: head.ETag,
+  lastModified: head.LastModified,
+  versionId: head.VersionId,
+  storageClass: head.StorageClass || "STANDARD",
+  cacheControl: head.CacheControl,
+  contentDisposition: head.ContentDisposition,
+  contentEncoding: head.ContentEncoding,
+  serverSideEncryption: head.ServerSideEncryption,
+  sseKmsKeyId: head.SSEKMSKeyId,
+  sseCustomerAlgorithm: head.SSECustomerAlgorithm,
+  metadata: head.Metadata,
+});
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/file/{key}:
+ *   head:
+ *     summary: Consulta os cabeçalhos de um arquivo sem baixar o conteúdo
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão específica do objeto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Arquivo encontrado (Content-Type, Content-Length, ETag, Last-Modified e x-amz-meta-* nos cabeçalhos)
+ *       404:
+ *         description: Arquivo não encontrado
+ */
+app.head(
+  "/buckets/:bucketName/file/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    try {
+      const head = await s3
+        .headObject({
+          Bucket: bucketName,
+          Key: key,
+          VersionId: req.query.versionId,
+          ...paramsSseC(req),
+        })
+        .promise();
+
+      res.set({
+        "Content-Type": head.ContentType,
+        "Content-Length": head.ContentLength,
+        ETag: head.ETag,
+        "Last-Modified": head.LastModified.toUTCString(),
+        "Accept-Ranges": "bytes",
+      });
+      if (head.VersionId) res.set("x-amz-version-id", head.VersionId);
+      if (head.ServerSideEncryption) {
+        res.set("x-amz-server-side-encryption", head.ServerSideEncryption);
+      }
+      if (head.SSECustomerAlgorithm) {
+        res.set(
+          "x-amz-server-side-encryption-customer-algorithm",
+          head.SSECustomerAlgorithm
+        );
+      }
+      Object.entries(head.Metadata).forEach(([nome, valor]) =>
+        res.set(`x-amz-meta-${nome}`, valor)
+      );
+      res.status(200).end();
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        logError("Erro ao consultar objeto", req, error);
+      }
+      res.status(error.status || error.statusCode || 500).end();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/metadata/{key}:
+ *   get:
+ *     summary: Retorna os metadados de um arquivo em JSON
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão específica do objeto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Metadados do arquivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bucket:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                 contentType:
+ *                   type: string
+ *                 contentLength:
+ *                   type: integer
+ *                 etag:
+ *                   type: string
+ *                 lastModified:
+ *                   type: string
+ *                   format: date-time
+ *                 versionId:
+ *                   type: string
+ *                 storageClass:
+ *                   type: string
+ *                 metadata:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *       404:
+ *         description: Arquivo não encontrado
+ */
+app.get(
+  "/buckets/:bucketName/metadata/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    try {
+      const head = await s3
+        .headObject({
+          Bucket: bucketName,
+          Key: key,
+          VersionId: req.query.versionId,
+          ...paramsSseC(req),
+        })
+        .promise();
+
+      logInfo("Metadados do objeto consultados", req, { bucketName, key });
+      res.status(200).json(metadadosObjeto(bucketName, key, head));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return res
+          .status(404)
+          .json({ error: "Arquivo não encontrado", bucket: bucketName, key });
+      }
+      responderErroS3(
+        req,
+        res,
+        error,
+        "Erro ao consultar metadados do arquivo"
+      );
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/tags/{key}:
+ *   get:
+ *     summary: Consulta as tags de um arquivo
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão específica do objeto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tags do arquivo (objeto chave-valor)
+ *       404:
+ *         description: Arquivo não encontrado
+ *   put:
+ *     summary: Define as tags de um arquivo
+ *     description: Substitui todas as tags do arquivo (máximo de 10 tags por objeto).
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão específica do objeto
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   tipo: nota-fiscal
+ *                   destino: financeiro
+ *     responses:
+ *       200:
+ *         description: Tags atualizadas
+ *       404:
+ *         description: Arquivo não encontrado
+ */
+app.get(
+  "/buckets/:bucketName/tags/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    const { versionId } = req.query;
+
+    try {
+      const data = await s3
+        .getObjectTagging({
+          Bucket: bucketName,
+          Key: key,
+          VersionId: versionId,
+        })
+        .promise();
+      logInfo("Tags do objeto consultadas", req, {
+        bucketName,
+        key,
+        versionId,
+      });
+      res.status(200).json({
+        bucket: bucketName,
+        key,
+        versionId: data.VersionId,
+        tags: deTagSet(data.TagSet),
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao consultar tags do arquivo");
+    }
+  }
+);
+
+app.put(
+  "/buckets/:bucketName/tags/*key",
+  exigirPermissao("s3:write", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+    const { tags } = req.body || {};
+    const { versionId } = req.query;
+
+    if (!objetoDeTextos(tags)) {
+      return res
+        .status(400)
+        .json({ error: "tags deve ser um objeto com valores do tipo texto" });
+    }
+
+    try {
+      const data = await s3
+        .putObjectTagging({
+          Bucket: bucketName,
+          Key: key,
+          VersionId: versionId,
+          Tagging: { TagSet: paraTagSet(tags) },
+        })
+        .promise();
+      logInfo("Tags do objeto atualizadas", req, {
+        bucketName,
+        key,
+        versionId,
+        tags,
+      });
+      res.status(200).json({
+        message: "Tags atualizadas com sucesso",
+        bucket: bucketName,
+        key,
+        versionId: data.VersionId,
+        tags,
+      });
+    } catch (error) {
+      responderErroS3(req, res, error, "Erro ao atualizar tags do arquivo");
+    }
+  }
+);
+
+// Cabeçalhos da resposta do S3 repassados ao cliente no download
+const HEADERS_DOWNLOAD = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "etag",
+  "last-modified",
+  "cache-control",
+  "content-disposition",
+  "content-encoding",
+  "x-amz-server-side-encryption",
+  "x-amz-server-side-encryption-aws-kms-key-id",
+  "x-amz-server-side-encryption-customer-algorithm",
+];
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/file/{key}:
+ *   get:
+ *     summary: Faz o download (streaming) de um objeto do bucket
+ *     description: Repassa o conteúdo do objeto direto do S3, com suporte a Range (download parcial/retomada) e requisições condicionais (If-None-Match e If-Modified-Since).
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave do objeto (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão específica do objeto (buckets versionados)
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-amz-server-side-encryption-customer-key
+ *         description: Chave AES-256 em base64, obrigatória para objetos gravados com SSE-C
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         description: Intervalo de bytes a ser retornado (ex. bytes=0-1023)
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-None-Match
+ *         description: Retorna 304 se o ETag do objeto for igual ao informado
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Modified-Since
+ *         description: Retorna 304 se o objeto não foi modificado desde a data informada
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conteúdo do objeto
+ *       206:
+ *         description: Conteúdo parcial do objeto (Range)
+ *       304:
+ *         description: Objeto não modificado
+ *       404:
+ *         description: Objeto não encontrado
+ *       416:
+ *         description: Intervalo (Range) inválido
+ */
+app.get(
+  "/buckets/:bucketName/file/*key",
+  exigirPermissao("s3:read", { alvo: alvoObjeto }),
+  (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+
+    let sseC;
+    try {
+      sseC = paramsSseC(req);
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const params = {
+      Bucket: bucketName,
+      Key: key,
+      VersionId: req.query.versionId,
+      Range: req.get("Range"),
+      IfNoneMatch: req.get("If-None-Match"),
+      IfModifiedSince: req.get("If-Modified-Since"),
+      ...sseC,
+    };
+
+    const request = s3.getObject(params);
+
+    request.on("httpHeaders", (statusCode, headers) => {
+      if (statusCode >= 300) return;
+
+      res.status(statusCode);
+      HEADERS_DOWNLOAD.forEach((header) => {
+        if (headers[header]) res.set(header, headers[header]);
+      });
+    });
+
+    const stream = request.createReadStream();
+
+    stream.on("error", (error) => {
+      if (res.headersSent) {
+        logError("Erro durante o download do objeto", req, error);
+        return res.destroy(error);
+      }
+
+      switch (error.statusCode) {
+        case 304:
+          return res.status(304).end();
+        case 404:
+          return res
+            .status(404)
+            .json({ error: "Objeto não encontrado", bucket: bucketName, key });
+        case 416:
+          return res.status(416).json({ error: "Intervalo (Range) inválido" });
+        default:
+          logError("Erro ao baixar objeto", req, error);
+          res.status(error.statusCode || 500).json({
+            error: "Erro ao baixar arquivo do bucket",
+            details: error.message,
+          });
+      }
+    });
+
+    stream.on("end", () =>
+      logInfo("Download efetuado", req, {
+        bucketName,
+        key,
+        range: params.Range,
+      })
+    );
+
+    // Cliente desconectou antes do fim: cancela a leitura no S3
+    res.on("close", () => {
+      if (!res.writableFinished) request.abort();
+    });
+
+    stream.pipe(res);
+  }
+);
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/file/{key}:
+ *   delete:
+ *     summary: Deleta um arquivo específico de um bucket
+ *     description: Em buckets versionados, sem versionId é criado um delete marker (o arquivo pode ser recuperado); com versionId a versão informada é removida definitivamente. Sem versionId os derivados do arquivo (miniaturas em _derivados/) também são removidos e listados em deletedDerivatives.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         description: Chave completa do arquivo a ser deletado (pode conter "/")
+ *       - in: query
+ *         name: versionId
+ *         description: Versão a ser removida definitivamente (pode ser um delete marker)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Arquivo deletado com sucesso
+ */
+app.delete(
+  "/buckets/:bucketName/file/*key",
+  exigirPermissao("s3:delete", { alvo: alvoObjeto }),
+  async (req, res) => {
+    const { bucketName } = req.params;
+    const key = req.params.key.join("/");
+    const { versionId } = req.query;
+
+    // Sem versionId os derivados saem junto e precisam estar ao alcance do usuário
+    if (!versionId) {
+      try {
+        autorizar(req, "s3:delete", alvoDerivados(req), { prefixo: true });
+      } catch (erro) {
+        return responderAcessoNegado(req, res, erro);
+      }
+    }
+
+    try {
+      const params = {
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId,
+      };
+
+      const data = await s3.deleteObject(params).promise();
+
+      // Os derivados (miniaturas) saem junto com o arquivo. Ao remover uma
+      // versão específica eles ficam, pois podem ser da versão atual
+      const relatorio = { deleted: [], errors: [] };
+      if (!versionId) {
+        await excluirPrefixo(bucketName, prefixoDerivados(key), relatorio);
+      }
+      if (relatorio.errors.length > 0) {
+        logError("Erro ao remover derivados do objeto", req, null, {
+          bucketName,
+          key,
+          errors: relatorio.errors,
+        });
+      }
+
+      logInfo("Objeto removido", req, {
+        bucketName,
+        key,
+        versionId,
+        derivados: relatorio.deleted.length,
+      });
+      res.status(200).json({
+        message: versionId
+          ? "Versão do arquivo removida definitivamente"
+          : "Arquivo deletado com sucesso",
+        deletedFile: key,
+        bucket: bucketName,
+        versionId: data.VersionId,
+        deleteMarker: !!data.DeleteMarker,
+        deletedDerivatives: relatorio.deleted,
+        ...(relatorio.errors.length > 0 && { errors: relatorio.errors }),
+      });
+    } catch (error) {
+      logError("Erro ao remover objeto", req, error);
+      res.status(error.statusCode || 500).json({
+        error: "Erro ao deletar arquivo do bucket",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// O copyObject aceita objetos de até 5 GB; acima disso a cópia é feita em partes
+const COPY_MAX_SIZE = 5 * 1024 * MB;
+const COPY_PART_SIZE = 512 * MB;
+
+// CopySource no formato "bucket/chave[?versionId=...]", com a chave codificada para URL
+const copySource = (bucket, key, versionId) =>
+  `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}` +
+  (versionId ? `?versionId=${encodeURIComponent(versionId)}` : "");
+
+// Copia um objeto (no mesmo bucket ou entre buckets). Sem metadata e
+// contentType, os metadados da origem são preservados; caso contrário são substituídos.
+// origem.versionId permite copiar uma versão específica. A cópia mantém a
+// criptografia da origem, a menos que ela seja mais fraca que a mínima do
+// bucket de destino: aí vale o padrão do destino. Objetos SSE-C exigem a chave
+// em sseC (paramsSseC), usada para ler a origem e gravar o destino.
+async function copiarObjeto({
+  origem,
+  destino,
+  metadata,
+  contentType,
+  sseC = {},
+}) {
+  const head = await s3
+    .headObject({
+      Bucket: origem.bucket,
+      Key: origem.key,
+      VersionId: origem.versionId,
+      ...sseC,
+    })
+    .promise();
+
+  // Criptografia do destino e, para SSE-C, a chave de leitura da origem
+  const regra = regraDoBucket(destino.bucket);
+  const minima = criptografiaMinima(regra);
+  const criptografia =
+    NIVEL_CRIPTOGRAFIA[criptografiaDoObjeto(head)] <
+    (NIVEL_CRIPTOGRAFIA[minima] ?? 0)
+      ? paramsDoTipoCriptografia(minima, { kmsKeyId: regra.kmsKeyId, sseC })
+      : head.SSECustomerAlgorithm
+      ? sseC
+      : {
+          ...(head.ServerSideEncryption && {
+            ServerSideEncryption: head.ServerSideEncryption,
+          }),
+          ...(head.SSEKMSKeyId && { SSEKMSKeyId: head.SSEKMSKeyId }),
+        };
+  const leituraOrigem = head.SSECustomerAlgorithm
+    ? {
+        CopySourceSSECustomerAlgorithm: sseC.SSECustomerAlgorithm,
+        CopySourceSSECustomerKey: sseC.SSECustomerKey,
+      }
+    : {};
+
+  const substituir = metadata !== undefined || contentType !== undefined;
+  const atributos = {
+    ContentType: contentType ?? head.ContentType,
+    Metadata: metadata ?? head.Metadata,
+    CacheControl: head.CacheControl,
+    ContentDisposition: head.ContentDisposition,
+    ContentEncoding: head.ContentEncoding,
+  };
+  const CopySource = copySource(origem.bucket, origem.key, origem.versionId);
+  const Bucket = destino.bucket;
+  const Key = destino.key;
+
+  if (head.ContentLength <= COPY_MAX_SIZE) {
+    const data = await s3
+      .copyObject({
+        Bucket,
+        Key,
+        CopySource,
+        ...criptografia,
+        ...leituraOrigem,
+        ...(substituir && { MetadataDirective: "REPLACE", ...atributos }),
+      })
+      .promise();
+
+    return {
+      ETag: data.CopyObjectResult.ETag,
+      VersionId: data.VersionId,
+      Size: head.ContentLength,
+      multipart: false,
+    };
+  }
+
+  // No multipart os metadados não são copiados: são sempre informados na criação
+  const { UploadId } = await s3
+    .createMultipartUpload({ Bucket, Key, ...atributos, ...criptografia })
+    .promise();
+
+  try {
+    const partes = [];
+    for (
+      let inicio = 0;
+      inicio < head.ContentLength;
+      inicio += COPY_PART_SIZE
+    ) {
+      const fim = Math.min(inicio + COPY_PART_SIZE, head.ContentLength) - 1;
+      partes.push({
+        PartNumber: partes.length + 1,
+        range: `bytes=${inicio}-${fim}`,
+      });
+    }
+
+    // Copia UPLOAD_QUEUE_SIZE partes em paralelo
+    const Parts = [];
+    for (let i = 0; i < partes.length; i += UPLOAD_QUEUE_SIZE) {
+      const lote = await Promise.all(
+        partes.slice(i, i + UPLOAD_QUEUE_SIZE).map(async (parte) => {
+          const data = await s3
+            .uploadPartCopy({
+              Bucket,
+              Key,
+              UploadId,
+              PartNumber: parte.PartNumber,
+              CopySource,
+              CopySourceRange: parte.range,
+              ...(criptografia.SSECustomerKey && sseC),
+              ...leituraOrigem,
+            })
+            .promise();
+          return {
+            ETag: data.CopyPartResult.ETag,
+            PartNumber: parte.PartNumber,
+          };
+        })
+      );
+      Parts.push(...lote);
+    }
+
+    const data = await s3
+      .completeMultipartUpload({
+        Bucket,
+        Key,
+        UploadId,
+        MultipartUpload: { Parts },
+      })
+      .promise();
+
+    return {
+      ETag: data.ETag,
+      VersionId: data.VersionId,
+      Size: head.ContentLength,
+      multipart: true,
+    };
+  } catch (error) {
+    // Descarta as partes já copiadas para não gerar custo de armazenamento
+    await s3
+      .abortMultipartUpload({ Bucket, Key, UploadId })
+      .promise()
+      .catch(() => {});
+    throw error;
+  }
+}
+
+// Chaves de todos os objetos de um prefixo
+async function listarChaves(bucket, prefix) {
+  const chaves = [];
+  let continuationToken;
+  do {
+    const data = await s3
+      .listObjectsV2({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      })
+      .promise();
+    chaves.push(...data.Contents.map((item) => item.Key));
+    continuationToken = data.NextContinuationToken;
+  } while (continuationToken);
+  return chaves;
+}
+
+// Move os derivados de um arquivo (prefixoDerivados) para junto da nova chave,
+// substituindo os que já existirem no destino. Copia tudo antes de remover:
+// se uma cópia falhar, o erro é lançado com os derivados da origem intactos.
+// Retorna as chaves no destino e as falhas ao remover os derivados antigos.
+async function moverDerivados(origem, destino, sseC) {
+  const prefixoOrigem = prefixoDerivados(origem.key);
+  const prefixoDestino = prefixoDerivados(destino.key);
+
+  const chaves = await listarChaves(origem.bucket, prefixoOrigem);
+  if (chaves.length === 0) return { movidos: [], errors: [] };
+  const antigas = await listarChaves(destino.bucket, prefixoDestino);
+
+  const movidos = [];
+  for (const key of chaves) {
+    const novaChave = prefixoDestino + key.slice(prefixoOrigem.length);
+    await copiarObjeto({
+      origem: { bucket: origem.bucket, key },
+      destino: { bucket: destino.bucket, key: novaChave },
+      sseC,
+    });
+    movidos.push(novaChave);
+  }
+
+  // Os derivados do destino que não foram substituídos eram do objeto antigo
+  const relatorio = { deleted: [], errors: [] };
+  const sobras = antigas.filter((key) => !movidos.includes(key));
+  for (let i = 0; i < sobras.length; i += DELETE_BATCH_SIZE) {
+    await excluirLote(
+      destino.bucket,
+      sobras.slice(i, i + DELETE_BATCH_SIZE),
+      relatorio
+    );
+  }
+  await excluirPrefixo(origem.bucket, prefixoOrigem, relatorio);
+  return { movidos, errors: relatorio.errors };
+}
+
+// Handler de cópia (mover = false) ou movimentação (mover = true) de objetos
+const copiarOuMover = (mover) => async (req, res) => {
+  const { bucketName } = req.params;
+  const { sourceKey, destinationKey, metadata, contentType } = req.body || {};
+  const destinationBucket = req.body?.destinationBucket || bucketName;
+
+  if (!sourceKey || !destinationKey) {
+    return res
+      .status(400)
+      .json({ error: "sourceKey e destinationKey são obrigatórios" });
+  }
+
+  if (metadata !== undefined && !objetoDeTextos(metadata)) {
+    return res
+      .status(400)
+      .json({ error: "metadata deve ser um objeto com valores do tipo texto" });
+  }
+
+  const mesmoObjeto =
+    destinationBucket === bucketName && destinationKey === sourceKey;
+  if (mover && mesmoObjeto) {
+    return res
+      .status(400)
+      .json({ error: "A origem e o destino devem ser diferentes" });
+  }
+
+  const origem = { bucket: bucketName, key: sourceKey };
+  const destino = { bucket: destinationBucket, key: destinationKey };
+
+  try {
+    autorizar(req, "s3:read", `${bucketName}/${sourceKey}`);
+    autorizar(req, "s3:write", `${destinationBucket}/${destinationKey}`);
+    if (mover) {
+      // Os derivados vão junto: os da origem são lidos e removidos, e os do
+      // destino, substituídos
+      const derivadosOrigem = `${bucketName}/${prefixoDerivados(sourceKey)}`;
+      const derivadosDestino = `${destinationBucket}/${prefixoDerivados(
+        destinationKey
+      )}`;
+      autorizar(req, "s3:delete", `${bucketName}/${sourceKey}`);
+      autorizar(req, "s3:read", derivadosOrigem, { prefixo: true });
+      autorizar(req, "s3:delete", derivadosOrigem, { prefixo: true });
+      autorizar(req, "s3:write", derivadosDestino, { prefixo: true });
+      autorizar(req, "s3:delete", derivadosDestino, { prefixo: true });
+    }
+  } catch (erro) {
+    return responderAcessoNegado(req, res, erro);
+  }
+
+  try {
+    const data = await copiarObjeto({
+      origem,
+      destino,
+      metadata,
+      contentType,
+      sseC: paramsSseC(req),
+    });
+
+    if (mover) {
+      // Os derivados acompanham o arquivo. Se a cópia deles falhar, a origem
+      // fica (com os derivados) para não deixá-los órfãos, e o motivo volta em
+      // data.DerivativesError junto com data.SourceKept
+      let moverOrigem = true;
+      try {
+        const { movidos, errors } = await moverDerivados(
+          origem,
+          destino,
+          paramsSseC(req)
+        );
+        data.Derivatives = movidos;
+        if (errors.length > 0) {
+          logError("Erro ao remover derivados antigos do objeto", req, null, {
+            origem,
+            destino,
+            errors,
+          });
+          data.DerivativesError = `${
+            errors.length
+          } derivado(s) não foram removidos: ${errors
+            .map((erro) => erro.key)
+            .join(", ")}`;
+        }
+      } catch (erro) {
+        logError("Erro ao mover derivados do objeto", req, erro, {
+          origem,
+          destino,
+        });
+        data.DerivativesError = erro.message;
+        data.SourceKept = true;
+        moverOrigem = false;
+      }
+      // A cópia já existe: se a origem não puder ser removida, a resposta
+      // indica o sucesso parcial para o cliente não repetir a movimentação
+      if (moverOrigem) {
+        try {
+          await s3
+            .deleteObject({ Bucket: bucketName, Key: sourceKey })
+            .promise();
+        } catch (erro) {
+          logError("Erro ao remover a origem do objeto movido", req, erro, {
+            origem,
+            destino,
+          });
+          data.SourceKept = true;
+          data.SourceDeleteError = erro.message;
+        }
+      }
+    }
+
+    logInfo(mover ? "Objeto movido" : "Objeto copiado", req, {
+      origem,
+      destino,
+      ...data,
+    });
+    res.status(data.SourceKept ? 207 : 200).json({
+      message: data.SourceDeleteError
+        ? "Arquivo copiado, mas a origem não pôde ser removida"
+        : data.SourceKept
+        ? "Arquivo copiado, mas a origem foi mantida: falha ao mover os derivados"
+        : mover
+        ? "Arquivo movido com sucesso"
+        : "Arquivo copiado com sucesso",
+      source: origem,
+      destination: destino,
+      data,
+    });
+  } catch (error) {
+    // A origem é lida antes da cópia (headObject, que responde só NotFound):
+    // um NoSuchBucket vem da gravação, ou seja, do bucket de destino
+    if (error.code === "NoSuchBucket") {
+      return res.status(404).json({
+        error: "Bucket de destino não encontrado",
+        destination: destino,
+      });
+    }
+    if (error.statusCode === 404) {
+      return res
+        .status(404)
+        .json({ error: "Arquivo de origem não encontrado", source: origem });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logError(
+      mover ? "Erro ao mover objeto" : "Erro ao copiar objeto",
+      req,
+      error
+    );
+    res.status(error.statusCode || 500).json({
+      error: mover ? "Erro ao mover arquivo" : "Erro ao copiar arquivo",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CopiaObjeto:
+ *       type: object
+ *       required:
+ *         - sourceKey
+ *         - destinationKey
+ *       properties:
+ *         sourceKey:
+ *           type: string
+ *           description: Chave do arquivo de origem no bucket da rota
+ *         destinationKey:
+ *           type: string
+ *           description: Chave do arquivo de destino
+ *         destinationBucket:
+ *           type: string
+ *           description: Bucket de destino (padrão o mesmo bucket da origem)
+ *         contentType:
+ *           type: string
+ *           description: Novo Content-Type (substitui os metadados da origem)
+ *         metadata:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Novos metadados x-amz-meta-* (substitui os metadados da origem)
+ */
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/file/copy:
+ *   post:
+ *     summary: Copia um arquivo dentro do bucket ou para outro bucket
+ *     description: Usa copyObject no S3, sem download. Objetos acima de 5 GB são copiados em partes (multipart copy).
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket de origem
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopiaObjeto'
+ *     responses:
+ *       200:
+ *         description: Arquivo copiado com sucesso
+ *       400:
+ *         description: Requisição inválida
+ *       404:
+ *         description: Arquivo de origem não encontrado
+ */
+app.post("/buckets/:bucketName/file/copy", copiarOuMover(false));
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/file/move:
+ *   post:
+ *     summary: Move (ou renomeia) um arquivo dentro do bucket ou para outro bucket
+ *     description: Copia o arquivo para o destino e remove a origem em seguida. Os derivados (miniaturas) do arquivo são movidos junto e suas novas chaves voltam em data.Derivatives. Se a cópia dos derivados falhar, a origem é mantida (data.SourceKept) e o motivo volta em data.DerivativesError.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket de origem
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopiaObjeto'
+ *     responses:
+ *       200:
+ *         description: Arquivo movido com sucesso
+ *       207:
+ *         description: Arquivo copiado, mas a origem foi mantida (data.SourceKept, com o motivo em data.SourceDeleteError ou data.DerivativesError). Não repita a movimentação
+ *       400:
+ *         description: Requisição inválida
+ *       404:
+ *         description: Arquivo de origem ou bucket de destino não encontrado
+ */
+app.post("/buckets/:bucketName/file/move", copiarOuMover(true));
+
+// Limite do deleteObjects por chamada
+const DELETE_BATCH_SIZE = 1000;
+// Chaves aceitas por requisição no delete-batch. Cada chave removida custa
+// ainda um listObjectsV2 para achar os derivados.
+const DELETE_MAX_KEYS = parseInt(process.env.S3_DELETE_MAX_KEYS) || 1000;
+
+// Remove um lote de até 1000 chaves, acumulando os sucessos e falhas no relatório
+async function excluirLote(bucket, keys, relatorio) {
+  try {
+    const data = await s3
+      .deleteObjects({
+        Bucket: bucket,
+        Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: false },
+      })
+      .promise();
+
+    data.Deleted.forEach((item) => relatorio.deleted.push(item.Key));
+    data.Errors.forEach((item) =>
+      relatorio.errors.push({
+        key: item.Key,
+        code: item.Code,
+        message: item.Message,
+      })
+    );
+  } catch (error) {
+    // Falha do lote inteiro: registra todas as chaves como não removidas
+    keys.forEach((key) =>
+      relatorio.errors.push({ key, code: error.code, message: error.message })
+    );
+  }
+}
+
+// Remove todos os objetos de um prefixo. Cada página do listObjectsV2 tem no
+// máximo 1000 chaves: um lote por página
+async function excluirPrefixo(bucket, prefix, relatorio) {
+  let continuationToken;
+  do {
+    const data = await s3
+      .listObjectsV2({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      })
+      .promise();
+
+    if (data.Contents.length > 0) {
+      await excluirLote(
+        bucket,
+        data.Contents.map((item) => item.Key),
+        relatorio
+      );
+    }
+    continuationToken = data.NextContinuationToken;
+  } while (continuationToken);
+}
+
+/**
+ * @swagger
+ * /buckets/{bucketName}/delete-batch:
+ *   post:
+ *     summary: Remove vários arquivos de um bucket
+ *     description: Remove uma lista de chaves (até S3_DELETE_MAX_KEYS, padrão 1000) ou todos os objetos de um prefixo, em lotes de 1000 (deleteObjects). Com a lista de chaves, os derivados (miniaturas) de cada arquivo removido também são removidos e voltam em deletedDerivatives. Retorna o resultado de cada chave.
+ *     tags:
+ *       - Buckets
+ *     parameters:
+ *       - in: path
+ *         name: bucketName
+ *         required: true
+ *         description: Nome do bucket
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Chaves a serem removidas
+ *               prefix:
+ *                 type: string
+ *                 description: Remove todos os objetos que começam com o prefixo (ex. "temp/")
+ *     responses:
+ *       200:
+ *         description: Todos os arquivos foram removidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deleted:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deletedDerivatives:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       207:
+ *         description: Alguns arquivos não foram removidos (ver errors)
+ *       400:
+ *         description: Requisição inválida
+ */
+app.post("/buckets/:bucketName/delete-batch", async (req, res) => {
+  const { bucketName } = req.params;
+  const { keys, prefix } = req.body || {};
+
+  // Exatamente um dos dois: evita remover o bucket inteiro com prefixo vazio
+  if ((keys && prefix) || (!keys && !prefix)) {
+    return res.status(400).json({
+      error: "Informe a lista de chaves (keys) ou um prefixo (prefix)",
+    });
+  }
+
+  if (
+    keys &&
+    (!Array.isArray(keys) ||
+      keys.length === 0 ||
+      keys.some((key) => typeof key !== "string" || !key))
+  ) {
+    return res
+      .status(400)
+      .json({ error: "keys deve ser uma lista de chaves não vazia" });
+  }
+
+  if (keys && keys.length > DELETE_MAX_KEYS) {
+    return res.status(400).json({
+      error: `keys aceita no máximo ${DELETE_MAX_KEYS} chaves por requisição`,
+    });
+  }
+
+  // Todas as chaves (com os derivados) ou o prefixo inteiro precisam estar ao
+  // alcance do usuário
+  try {
+    if (keys) {
+      for (const key of keys) {
+        autorizar(req, "s3:delete", `${bucketName}/${key}`);
+        autorizar(req, "s3:delete", `${bucketName}/${prefixoDerivados(key)}`, {
+          prefixo: true,
+        });
+      }
+    } else {
+      autorizar(req, "s3:delete", `${bucketName}/${prefix}`, { prefixo: true });
+    }
+  } catch (erro) {
+    return responderAcessoNegado(req, res, erro);
+  }
+
+  const relatorio = { deleted: [], errors: [] };
+  const derivados = { deleted: [], errors: [] };
+
+  try {
+    if (keys) {
+      const unicas = [...new Set(keys)];
+      for (let i = 0; i < unicas.length; i += DELETE_BATCH_SIZE) {
+        await excluirLote(
+          bucketName,
+          unicas.slice(i, i + DELETE_BATCH_SIZE),
+          relatorio
+        );
+      }
+
+      // Os derivados (miniaturas) dos arquivos removidos saem junto, mas ficam
+      // fora de deleted, que corresponde às chaves enviadas
+      const removidas = unicas.filter((key) => relatorio.deleted.includes(key));
+      for (const key of removidas) {
+        await excluirPrefixo(bucketName, prefixoDerivados(key), derivados);
+      }
+      relatorio.deletedDerivatives = derivados.deleted;
+      relatorio.errors.push(...derivados.errors);
+    } else {
+      await excluirPrefixo(bucketName, prefix, relatorio);
+    }
+
+    const total = relatorio.deleted.length + relatorio.errors.length;
+    if (relatorio.errors.length > 0) {
+      logError("Remoção em lote com falhas", req, null, {
+        bucketName,
+        prefix,
+        deleted: relatorio.deleted.length,
+        failed: relatorio.errors.length,
+      });
+    } else {
+      logInfo("Objetos removidos em lote", req, {
+        bucketName,
+        prefix,
+        deleted: relatorio.deleted.length,
+      });
+    }
+
+    res.status(relatorio.errors.length > 0 ? 207 : 200).json({
+      message:
+        relatorio.errors.length > 0
+          ? `${relatorio.errors.length} de ${total} arquivo(s) não foram removidos`
+          : `${relatorio.deleted.length} arquivo(s) removido(s) com sucesso`,
+      bucket: bucketName,
+      ...relatorio,
+    });
+  } catch (error) {
+    logError("Erro ao remover objetos em lote", req, error);
+    res.status(500).json({
+      error: "Erro ao remover arquivos do bucket",
+      details: error.message,
+      ...relatorio,
+    });
+  }
+});
+
+//#endregion
+
+//#region Avatares de usuários
+// Bucket das fotos de perfil. Com AVATAR_PUBLIC_URL (ex. um CloudFront na
+// frente do bucket) a API retorna URLs públicas; sem ela, URLs pré-assinadas.
+const AVATAR_BUCKET = process.env.AVATAR_BUCKET;
+const AVATAR_PUBLIC_URL = process.env.AVATAR_PUBLIC_URL;
+const AVATAR_MAX_SIZE = (parseInt(process.env.AVATAR_MAX_SIZE_MB) || 5) * MB;
+const TIPOS_AVATAR = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+// URL do avatar do usuário, ou null se ele não tiver um
+async function urlAvatar(user) {
+  if (!user.avatar) return null;
+
+  if (AVATAR_PUBLIC_URL) {
+    return `${AVATAR_PUBLIC_URL.replace(/\/+$/, "")}/${user.avatar.key}`;
+  }
+  return s3.getSignedUrlPromise("getObject", {
+    Bucket: user.avatar.bucket,
+    Key: user.avatar.key,
+    Expires: PRESIGN_EXPIRES,
+  });
+}
+
+// Remove o arquivo do avatar no S3. Uma falha só é registrada no log: o
+// usuário já foi atualizado e o arquivo pode ser removido depois.
+async function removerArquivoAvatar(req, avatar) {
+  try {
+    await s3.deleteObject({ Bucket: avatar.bucket, Key: avatar.key }).promise();
+  } catch (error) {
+    logError("Erro ao remover arquivo do avatar", req, error, avatar);
+  }
+}
+
+// Valida o ID e carrega o usuário em req.usuario (404 se não existir)
+async function carregarUsuario(req, res, next) {
+  try {
+    // Validar se o ID é um ObjectId válido
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: "ID inválido" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    }
+
+    req.usuario = user;
+    next();
+  } catch (error) {
+    logError("Erro ao buscar usuário", req, error);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+}
+
+// Cada envio gera uma chave nova (avatars/<id>/<uuid>.<ext>), o que evita que
+// caches e CDNs sirvam a foto antiga
+const uploadAvatar = multer({
+  storage: s3Storage({
+    s3,
+    partSize: UPLOAD_PART_SIZE,
+    queueSize: UPLOAD_QUEUE_SIZE,
+    params: async (req, file) => {
+      const regra = regraDoBucket(AVATAR_BUCKET);
+      const tipo = await detectarTipo(file.inicio, file.mimetype);
+      validarTipo({
+        nome: file.originalname,
+        tipoDeclarado: file.mimetype,
+        tipoDetectado: tipo,
+        tiposPermitidos: TIPOS_AVATAR,
+      });
+
+      // As URLs pré-assinadas e públicas não levam a chave do cliente
+      const criptografia = paramsCriptografia(req, regra);
+      if (criptografia.SSECustomerKey) {
+        throw erroHttp(400, "SSE-C não é suportado para avatares");
+      }
+
+      const extensao = path.posix.extname(
+        sanitizarNomeArquivo(file.originalname)
+      );
+      return {
+        Bucket: AVATAR_BUCKET,
+        Key: `avatars/${req.usuario.id}/${crypto.randomUUID()}${extensao}`,
+        ContentType: tipo,
+        Metadata: { usuario: req.usuario.id },
+        ...criptografia,
+        verificacao: {
+          tamanhoMaximo: Math.min(AVATAR_MAX_SIZE, regra.maxSize || Infinity),
+        },
+      };
+    },
+    bytesInicio: BYTES_DETECCAO,
+  }),
+  limits: { fileSize: AVATAR_MAX_SIZE, files: 1 },
+});
+
+/**
+ * @swagger
+ * /usuarios/{id}/avatar:
+ *   put:
+ *     tags:
+ *       - CRUD MongoDb
+ *     summary: Enviar ou substituir o avatar de um usuário
+ *     description: Envia a imagem ao bucket AVATAR_BUCKET e remove o avatar anterior. Aceita JPEG, PNG, WebP e GIF (detectados pelo conteúdo) até AVATAR_MAX_SIZE_MB.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do usuário
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar atualizado (usuário com avatar e avatarUrl)
+ *       400:
+ *         description: ID inválido ou nenhum arquivo enviado
+ *       404:
+ *         description: Usuário não encontrado.
+ *       413:
+ *         description: Imagem excede o tamanho máximo
+ *       415:
+ *         description: O arquivo não é uma imagem aceita
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
+ *       503:
+ *         description: AVATAR_BUCKET não configurado
+ */
+app.put(
+  "/usuarios/:id/avatar",
+  limitar("upload"),
+  exigirPermissao("usuarios:write", { proprioUsuario: true }),
+  (req, res, next) => {
+    if (!AVATAR_BUCKET) {
+      return res.status(503).json({
+        error: "Bucket de avatares não configurado",
+        details: "Defina a variável de ambiente AVATAR_BUCKET",
+      });
+    }
+    next();
+  },
+  carregarUsuario,
+  receberArquivos(uploadAvatar.single("avatar")),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "Nenhum arquivo enviado." });
+    }
+
+    const user = req.usuario;
+    const anterior = user.avatar && user.avatar.toObject();
+    const avatar = {
+      bucket: req.file.bucket,
+      key: req.file.key,
+      contentType: req.file.contentType,
+      size: req.file.size,
+      updatedAt: new Date(),
+    };
+
+    try {
+      user.avatar = avatar;
+      await user.save();
+    } catch (error) {
+      logError("Erro ao salvar avatar do usuário", req, error);
+      // Sem o registro no usuário o arquivo ficaria órfão no S3
+      await removerArquivoAvatar(req, avatar);
+      return res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+
+    if (anterior) await removerArquivoAvatar(req, anterior);
+
+    logInfo("Avatar do usuário atualizado", req, {
+      id: user.id,
+      avatar,
+      replaced: anterior?.key,
+    });
+    res.json({ ...user.toJSON(), avatarUrl: await urlAvatar(user) });
+  }
+);
+
+/**
+ * @swagger
+ * /usuarios/{id}/avatar:
+ *   delete:
+ *     tags:
+ *       - CRUD MongoDb
+ *     summary: Remover o avatar de um usuário
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do usuário
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Avatar removido
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Usuário não encontrado ou sem avatar.
+ */
+app.delete(
+  "/usuarios/:id/avatar",
+  exigirPermissao("usuarios:write", { proprioUsuario: true }),
+  carregarUsuario,
+  async (req, res) => {
+    const user = req.usuario;
+
+    if (!user.avatar) {
+      return res.status(404).json({ error: "Usuário não possui avatar" });
+    }
+
+    try {
+      const anterior = user.avatar.toObject();
+      user.avatar = undefined;
+      await user.save();
+      await removerArquivoAvatar(req, anterior);
+
+      logInfo("Avatar do usuário removido", req, { id: user.id, anterior });
+      res.json({ message: "Avatar removido com sucesso", user });
+    } catch (error) {
+      logError("Erro ao remover avatar do usuário", req, error);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+//#endregion
+
+//#region CRUD MySQL
+const mysql = require("mysql2/promise");
+const { CONFIG_MYSQL, migrarUp } = require("./migracoes");
+
+// Criar pool de conexões MySQL. O banco vem na configuração: um USE vale só
+// para a conexão em que rodou, e cada pool.query pode usar outra conexão.
+const pool = mysql.createPool({
+  ...CONFIG_MYSQL,
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0,
+});
+
+// Com DB_AUTO_MIGRATE=true, aplica as migrações pendentes ao iniciar. O
+// servidor só começa a atender depois (ver app.listen, no fim do arquivo)
+async function migrarAoIniciar() {
+  if (process.env.DB_AUTO_MIGRATE !== "true") return;
+
+  const aplicadas = await migrarUp(pool);
+  logInfo("Migrações do MySQL aplicadas", null, { aplicadas });
+}
+
+/**
+ * @swagger
+ * /mysql/testar-conexao:
+ *   get:
+ *     security: []
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Testa a conexão com o MySQL
+ *     description: Verifica se a aplicação consegue se conectar ao MySQL.
+ *     responses:
+ *       200:
+ *         description: Conexão bem-sucedida
+ *       500:
+ *         description: Erro na conexão com o MySQL
+ */
+app.get("/mysql/testar-conexao", async (req, res) => {
+  try {
+    // Testar a conexão e verificar se o banco existe e tem produtos
+    const connection = await pool.getConnection();
+    const [rows] = await connection.query(
+      "SELECT COUNT(*) as total FROM produto WHERE deletedAt IS NULL"
+    );
+
+    connection.release();
+
+    logInfo("Conexão com o MySQL verificada com sucesso", req);
+
+    const totalProdutos = rows[0].total;
+
+    res.status(200).json({
+      message:
+        totalProdutos > 0
+          ? `Conexão com o MySQL bem-sucedida! ${totalProdutos} produto(s) encontrado(s).`
+          : "Conexão com o MySQL bem-sucedida, mas nenhum produto encontrado.",
+      status: "connected",
+      hasProducts: totalProdutos > 0,
+      totalProducts: totalProdutos,
+    });
+  } catch (error) {
+    logError("Erro ao testar conexão com MySQL: " + error, req, error);
+    res.status(500).json({
+      error: "Erro na conexão com o MySQL",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /init-db:
+ *   post:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Cria o banco de dados e aplica as migrações pendentes
+ *     description: Equivale a "npm run migrate -- up". Cria o banco, se não existir, e aplica as migrações de migrations/ ainda não registradas na tabela schema_migracoes.
+ *     responses:
+ *       200:
+ *         description: Migrações aplicadas (lista em applied)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 applied:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["0001_criar_tabela_produto", "0002_criar_tabela_produto_midia"]
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       500:
+ *         description: Erro ao aplicar as migrações
+ */
+app.post("/init-db", exigirPermissao("db:init"), async (req, res) => {
+  try {
+    const aplicadas = await migrarUp(pool);
+
+    logInfo("Migrações do MySQL aplicadas", req, { aplicadas });
+    res.status(200).json({
+      message:
+        aplicadas.length > 0
+          ? `${aplicadas.length} migração(ões) aplicada(s).`
+          : "Banco de dados já está atualizado.",
+      applied: aplicadas,
+    });
+  } catch (err) {
+    logError("Erro ao aplicar migrações: " + err.message, req, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Campos de catálogo do produto: SKU (único), Estoque e Ativo. Retorna só os
+// campos informados e lança erro 400 se algum for inválido.
+function validarCatalogoProduto({ SKU, Estoque, Ativo }) {
+  const campos = {};
+
+  if (SKU !== undefined) {
+    const sku = SKU === null ? "" : String(SKU).trim();
+    if (sku && !/^[\w.-]{1,64}$/.test(sku)) {
+      throw erroHttp(
+        400,
+        "SKU deve ter até 64 caracteres (letras, números, ponto, hífen e sublinhado)"
+      );
+    }
+    campos.SKU = sku || null;
+  }
+
+  if (Estoque !== undefined) {
+    if (!Number.isInteger(Estoque) || Estoque < 0) {
+      throw erroHttp(400, "Estoque deve ser um inteiro maior ou igual a 0");
+    }
+    campos.Estoque = Estoque;
+  }
+
+  if (Ativo !== undefined) {
+    if (typeof Ativo !== "boolean") {
+      throw erroHttp(400, "Ativo deve ser true ou false");
+    }
+    campos.Ativo = Ativo;
+  }
+
+  return campos;
+}
+
+// Confere a lista de IDs de categoria do produto e retorna as categorias
+// ({ Id, Nome }). Lança erro 400 se algum ID for inválido ou não existir.
+async function validarCategorias(conexao, categorias) {
+  if (
+    !Array.isArray(categorias) ||
+    !categorias.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    throw erroHttp(400, "Categorias deve ser uma lista de IDs de categoria");
+  }
+
+  const ids = [...new Set(categorias)];
+  if (ids.length === 0) return [];
+
+  const [rows] = await conexao.query(
+    "SELECT Id, Nome FROM categoria WHERE Id IN (?) ORDER BY Nome",
+    [ids]
+  );
+  const inexistentes = ids.filter((id) => !rows.some((row) => row.Id === id));
+  if (inexistentes.length > 0) {
+    throw erroHttp(
+      400,
+      `Categorias não encontradas: ${inexistentes.join(", ")}`
+    );
+  }
+  return rows;
+}
+
+// Substitui as categorias do produto
+async function gravarCategoriasProduto(conexao, produtoId, categorias) {
+  await conexao.query("DELETE FROM produto_categoria WHERE ProdutoId = ?", [
+    produtoId,
+  ]);
+  if (categorias.length > 0) {
+    await conexao.query(
+      "INSERT INTO produto_categoria (ProdutoId, CategoriaId) VALUES ?",
+      [categorias.map(({ Id }) => [produtoId, Id])]
+    );
+  }
+}
+
+// Categorias de vários produtos em uma consulta: Map de ProdutoId -> categorias
+async function categoriasDosProdutos(produtoIds) {
+  const porProduto = new Map(produtoIds.map((id) => [id, []]));
+  if (produtoIds.length === 0) return porProduto;
+
+  const [rows] = await pool.query(
+    "SELECT pc.ProdutoId, c.Id, c.Nome FROM produto_categoria pc JOIN categoria c ON c.Id = pc.CategoriaId WHERE pc.ProdutoId IN (?) ORDER BY c.Nome",
+    [produtoIds]
+  );
+  rows.forEach(({ ProdutoId, Id, Nome }) =>
+    porProduto.get(ProdutoId).push({ Id, Nome })
+  );
+  return porProduto;
+}
+
+// Produto no formato da API, com Ativo como boolean e as categorias (se
+// carregadas; com fields, só os campos selecionados)
+const formatarProduto = (produto, categorias) => ({
+  ...produto,
+  ...("Ativo" in produto && { Ativo: !!produto.Ativo }),
+  ...(categorias && { categorias }),
+});
+
+// Resposta para erros de validação (erroHttp) e SKU repetido nas rotas de produto
+function responderErroProduto(res, err) {
+  if (err.status) {
+    res.status(err.status).json({ error: err.message });
+    return true;
+  }
+  if (err.code === "ER_DUP_ENTRY") {
+    res.status(409).json({ error: "SKU já está em uso" });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Categoria:
+ *       type: object
+ *       properties:
+ *         Id:
+ *           type: integer
+ *         Nome:
+ *           type: string
+ *           example: Calçados
+ *     Produto:
+ *       type: object
+ *       properties:
+ *         Id:
+ *           type: integer
+ *         SKU:
+ *           type: string
+ *           nullable: true
+ *           example: TEN-AZ-42
+ *         Nome:
+ *           type: string
+ *         Descricao:
+ *           type: string
+ *         Preco:
+ *           type: number
+ *         Estoque:
+ *           type: integer
+ *         Ativo:
+ *           type: boolean
+ *         categorias:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Categoria'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Quando o produto foi para a lixeira
+ */
+
+/**
+ * @swagger
+ * /produtos:
+ *   post:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Criar um novo produto
+ *     description: Este endpoint cria um novo produto no sistema MySQL.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Nome
+ *               - Descricao
+ *               - Preco
+ *             properties:
+ *               Nome:
+ *                 type: string
+ *                 description: Nome do produto
+ *                 minLength: 2
+ *                 maxLength: 255
+ *               Descricao:
+ *                 type: string
+ *                 description: Descrição do produto
+ *                 minLength: 2
+ *                 maxLength: 255
+ *               Preco:
+ *                 type: number
+ *                 description: Preço do produto
+ *                 minimum: 0
+ *               SKU:
+ *                 type: string
+ *                 description: Código único do produto (até 64 caracteres)
+ *               Estoque:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               Ativo:
+ *                 type: boolean
+ *                 default: true
+ *               Categorias:
+ *                 type: array
+ *                 description: IDs das categorias do produto
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Produto criado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: ID do produto criado
+ *                 SKU:
+ *                   type: string
+ *                   nullable: true
+ *                 Nome:
+ *                   type: string
+ *                 Descricao:
+ *                   type: string
+ *                 Preco:
+ *                   type: number
+ *                 Estoque:
+ *                   type: integer
+ *                 Ativo:
+ *                   type: boolean
+ *                 categorias:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Categoria'
+ *       400:
+ *         description: Requisição inválida ou categoria inexistente
+ *       409:
+ *         description: SKU já está em uso
+ *       500:
+ *         description: Erro interno do servidor
+ */
+app.post("/produtos", exigirPermissao("produtos:write"), async (req, res) => {
+  const { Nome, Descricao, Preco } = req.body;
+
+  try {
+    // Validação básica
+    if (!Nome || !Descricao || Preco === undefined) {
+      return res.status(400).json({
+        error: "Nome, Descrição e Preço são obrigatórios",
+      });
+    }
+
+    // Validações adicionais
+    if (Nome.length < 2 || Nome.length > 255) {
+      return res.status(400).json({
+        error: "Nome deve ter entre 2 e 255 caracteres",
+      });
+    }
+
+    if (Descricao.length < 2 || Descricao.length > 255) {
+      return res.status(400).json({
+        error: "Descrição deve ter entre 2 e 255 caracteres",
+      });
+    }
+
+    if (isNaN(Preco) || Preco < 0) {
+      return res.status(400).json({
+        error: "Preço deve ser um número positivo",
+      });
+    }
+
+    const catalogo = {
+      SKU: null,
+      Estoque: 0,
+      Ativo: true,
+      ...validarCatalogoProduto(req.body),
+    };
+
+    const connection = await pool.getConnection();
+    let produtoId;
+    let categorias;
+    try {
+      await connection.beginTransaction();
+
+      categorias = await validarCategorias(
+        connection,
+        req.body.Categorias ?? []
+      );
+      const [result] = await connection.query(
+        "INSERT INTO produto (SKU, Nome, Descricao, Preco, Estoque, Ativo) VALUES (?, ?, ?, ?, ?, ?)",
+        [
+          catalogo.SKU,
+          Nome.trim(),
+          Descricao.trim(),
+          parseFloat(Preco),
+          catalogo.Estoque,
+          catalogo.Ativo,
+        ]
+      );
+      produtoId = result.insertId;
+      await gravarCategoriasProduto(connection, produtoId, categorias);
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    logInfo("Produto criado", req, {
+      id: produtoId,
+      Nome,
+      Descricao,
+      Preco,
+      ...catalogo,
+    });
+
+    res.status(201).json({
+      id: produtoId,
+      SKU: catalogo.SKU,
+      Nome: Nome.trim(),
+      Descricao: Descricao.trim(),
+      Preco: parseFloat(Preco),
+      Estoque: catalogo.Estoque,
+      Ativo: catalogo.Ativo,
+      categorias,
+    });
+  } catch (err) {
+    if (responderErroProduto(res, err)) return;
+    logError("Erro ao criar produto", req, err);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+
+// Campos de GET /produtos para filtros, ordenação, busca (q) e fields
+const ESQUEMA_PRODUTO = {
+  id: "Id",
+  campos: {
+    Id: { tipo: "numero", ordenar: true },
+    SKU: { tipo: "texto", ordenar: true, nulo: true },
+    Nome: { tipo: "texto", ordenar: true },
+    Descricao: { tipo: "texto" },
+    Preco: { tipo: "numero", ordenar: true },
+    Estoque: { tipo: "numero", ordenar: true },
+    Ativo: { tipo: "booleano" },
+    createdAt: { tipo: "data", ordenar: true },
+    updatedAt: { tipo: "data", ordenar: true },
+  },
+  busca: ["Nome", "Descricao"],
+  virtuais: ["categorias"],
+  ordemPadrao: "-createdAt",
+  parametros: [
+    "page",
+    "limit",
+    "categoria",
+    "precoMin",
+    "precoMax",
+    "emEstoque",
+    "ativo",
+    "sku",
+  ],
+};
+
+// GET /produtos/trash aceita também deletedAt, a ordem padrão
+const ESQUEMA_PRODUTO_LIXEIRA = {
+  ...ESQUEMA_PRODUTO,
+  campos: {
+    ...ESQUEMA_PRODUTO.campos,
+    deletedAt: { tipo: "data", ordenar: true },
+  },
+  ordemPadrao: "-deletedAt",
+};
+
+// Filtros próprios de GET /produtos (além da gramática de consulta.js):
+// retorna as condições do WHERE e seus valores
+function filtrosProdutos({
+  categoria,
+  precoMin,
+  precoMax,
+  emEstoque,
+  ativo,
+  sku,
+}) {
+  const condicoes = [];
+  const valores = [];
+
+  const booleano = (valor, nome) => {
+    if (!["true", "false"].includes(valor)) {
+      throw erroHttp(400, `${nome} deve ser true ou false`);
+    }
+    return valor === "true";
+  };
+  const preco = (valor, nome) => {
+    const numero = Number(valor);
+    if (valor === "" || isNaN(numero) || numero < 0) {
+      throw erroHttp(400, `${nome} deve ser um número positivo`);
+    }
+    return numero;
+  };
+
+  if (categoria !== undefined) {
+    const ids = String(categoria).split(",").map(Number);
+    if (!ids.every((id) => Number.isInteger(id) && id > 0)) {
+      throw erroHttp(400, "categoria deve ser um ID ou uma lista de IDs");
+    }
+    condicoes.push(
+      "EXISTS (SELECT 1 FROM produto_categoria pc WHERE pc.ProdutoId = produto.Id AND pc.CategoriaId IN (?))"
+    );
+    valores.push(ids);
+  }
+  if (precoMin !== undefined) {
+    condicoes.push("Preco >= ?");
+    valores.push(preco(precoMin, "precoMin"));
+  }
+  if (precoMax !== undefined) {
+    condicoes.push("Preco <= ?");
+    valores.push(preco(precoMax, "precoMax"));
+  }
+  if (
+    precoMin !== undefined &&
+    precoMax !== undefined &&
+    Number(precoMin) > Number(precoMax)
+  ) {
+    throw erroHttp(400, "precoMin não pode ser maior que precoMax");
+  }
+  if (emEstoque !== undefined) {
+    condicoes.push(
+      booleano(emEstoque, "emEstoque") ? "Estoque > 0" : "Estoque = 0"
+    );
+  }
+  if (ativo !== undefined) {
+    condicoes.push("Ativo = ?");
+    valores.push(booleano(ativo, "ativo"));
+  }
+  if (sku !== undefined) {
+    condicoes.push("SKU = ?");
+    valores.push(String(sku));
+  }
+
+  return { condicoes, valores };
+}
+
+// Handler das listagens de produtos: GET /produtos e, com lixeira, GET
+// /produtos/trash (mesma paginação, busca, filtros e ordenação)
+const listarProdutos =
+  (esquema, { lixeira = false } = {}) =>
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      // Validar limites
+      if (limit > 100) {
+        return res
+          .status(400)
+          .json({ error: "Limite máximo é 100 produtos por página" });
+      }
+
+      if (page < 1) {
+        return res
+          .status(400)
+          .json({ error: "Número da página deve ser maior que 0" });
+      }
+
+      const consulta = lerConsulta(req.query, esquema);
+      const cursor = lerCursor(req.query, consulta, esquema);
+      const sql = consultaSql(consulta, esquema);
+      const extras = filtrosProdutos(req.query);
+      const condicoes = [
+        lixeira ? "deletedAt IS NOT NULL" : "deletedAt IS NULL",
+        ...sql.condicoes,
+        ...extras.condicoes,
+      ];
+      const valores = [...sql.valores, ...extras.valores];
+      const where = `WHERE ${condicoes.join(" AND ")}`;
+
+      const contarProdutos = async () => {
+        const [countResult] = await pool.query(
+          `SELECT COUNT(*) as total FROM produto ${where}`,
+          valores
+        );
+        return countResult[0].total;
+      };
+
+      let rows;
+      let pagination;
+      let totalProducts;
+      if (cursor) {
+        // Paginação por cursor: o total só é contado com includeTotal=true
+        const keyset = cursorSql(consulta, cursor);
+        const [linhas] = await pool.query(
+          `SELECT ${sql.colunas} FROM produto WHERE ${[
+            ...condicoes,
+            ...keyset.condicoes,
+          ].join(" AND ")} ORDER BY ${keyset.orderBy} LIMIT ?`,
+          [...valores, ...keyset.valores, limit + 1]
+        );
+        ({ itens: rows, pagination } = paginarCursor(
+          linhas,
+          limit,
+          cursor,
+          consulta
+        ));
+        if (req.query.includeTotal === "true") {
+          totalProducts = await contarProdutos();
+          pagination.totalProducts = totalProducts;
+        }
+      } else {
+        // Buscar produtos com paginação
+        const offset = (page - 1) * limit;
+        [rows] = await pool.query(
+          `SELECT ${sql.colunas} FROM produto ${where} ORDER BY ${sql.orderBy} LIMIT ? OFFSET ?`,
+          [...valores, limit, offset]
+        );
+
+        // Contar total de produtos
+        totalProducts = await contarProdutos();
+        const totalPages = Math.ceil(totalProducts / limit);
+
+        pagination = {
+          currentPage: page,
+          totalPages,
+          totalProducts,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        };
+      }
+
+      const categorias = campoSelecionado(consulta, "categorias")
+        ? await categoriasDosProdutos(rows.map(({ Id }) => Id))
+        : new Map();
+      const products = rows.map((produto) =>
+        formatarProduto(produto, categorias.get(produto.Id))
+      );
+
+      logInfo(
+        lixeira ? "Produtos da lixeira encontrados" : "Produtos encontrados",
+        req,
+        {
+          count: products.length,
+          ...(cursor ? { paginacao: "cursor" } : { page }),
+          totalProducts,
+        }
+      );
+
+      res.json({
+        products,
+        pagination,
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logError("Erro ao buscar produtos", req, err, { lixeira });
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  };
+
+/**
+ * @swagger
+ * /produtos:
+ *   get:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Listar todos os produtos
+ *     description: |
+ *       Este endpoint retorna os produtos cadastrados no sistema MySQL com paginação opcional e filtros por categoria, faixa de preço, estoque e situação.
+ *
+ *       Qualquer campo (Id, SKU, Nome, Descricao, Preco, Estoque, Ativo, createdAt, updatedAt) pode ser filtrado com um operador entre colchetes, por exemplo Preco[gte]=10, Nome[like]=tenis ou Id[in]=1,2,3. Operadores: eq (padrão), ne, gt, gte, lt, lte, in e nin para números e datas; eq, ne, in, nin e like para textos; eq e ne para Ativo.
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         description: Busca em Nome e Descricao (cada termo precisa aparecer em algum dos dois)
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Campos da ordenação separados por vírgula, "-" para decrescente (Id, SKU, Nome, Preco, Estoque, createdAt, updatedAt). Padrão -createdAt.
+ *         schema:
+ *           type: string
+ *           example: -Preco,Nome
+ *       - name: fields
+ *         in: query
+ *         description: Campos retornados, separados por vírgula (o Id sempre vem; categorias é opcional)
+ *         schema:
+ *           type: string
+ *           example: Nome,Preco,categorias
+ *       - name: page
+ *         in: query
+ *         description: Número da página (padrão 1)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: limit
+ *         in: query
+ *         description: Limite de produtos por página (padrão 10, máximo 100)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - name: pagination
+ *         in: query
+ *         description: cursor para a paginação por cursor (keyset), recomendada para listas grandes; offset (padrão) para páginas numeradas
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *       - name: after
+ *         in: query
+ *         description: nextCursor da resposta anterior, para a página seguinte (ativa a paginação por cursor)
+ *         schema:
+ *           type: string
+ *       - name: before
+ *         in: query
+ *         description: prevCursor da resposta anterior, para a página anterior (vazio retorna a última página)
+ *         schema:
+ *           type: string
+ *       - name: includeTotal
+ *         in: query
+ *         description: Na paginação por cursor, conta também o total de produtos (padrão false)
+ *         schema:
+ *           type: boolean
+ *       - name: categoria
+ *         in: query
+ *         description: ID da categoria ou lista separada por vírgula (produtos em qualquer uma delas)
+ *         schema:
+ *           type: string
+ *           example: 3,7
+ *       - name: precoMin
+ *         in: query
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - name: precoMax
+ *         in: query
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - name: emEstoque
+ *         in: query
+ *         description: true para produtos com estoque, false para os sem estoque
+ *         schema:
+ *           type: boolean
+ *       - name: ativo
+ *         in: query
+ *         description: Filtra produtos ativos (true) ou inativos (false)
+ *         schema:
+ *           type: boolean
+ *       - name: sku
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista de produtos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Produto'
+ *                 pagination:
+ *                   type: object
+ *                   description: currentPage e totalPages só na paginação por páginas; limit, nextCursor e prevCursor só na paginação por cursor
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalProducts:
+ *                       type: integer
+ *                       description: Na paginação por cursor, só com includeTotal=true
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Valor de after para a página seguinte
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Valor de before para a página anterior
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       400:
+ *         description: Parâmetros inválidos
+ *       500:
+ *         description: Erro interno do servidor
+ */
+app.get(
+  "/produtos",
+  exigirPermissao("produtos:read"),
+  listarProdutos(ESQUEMA_PRODUTO)
+);
+
+/**
+ * @swagger
+ * /produtos/trash:
+ *   get:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Listar os produtos da lixeira
+ *     description: |
+ *       Produtos removidos sem hard=true, que podem ser restaurados com POST /produtos/{id}/restore até serem apagados pela limpeza da lixeira (TRASH_RETENTION_DAYS). As imagens e anexos continuam no S3 até lá. Requer a permissão produtos:delete.
+ *
+ *       Aceita os mesmos parâmetros de GET /produtos (q, filtros, sort, fields, page, limit e paginação por cursor), com deletedAt também nos filtros e na ordenação. Padrão -deletedAt.
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: -deletedAt
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - name: after
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Produtos da lixeira, com a mesma paginação de GET /produtos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Produto'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Parâmetros inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ */
+app.get(
+  "/produtos/trash",
+  exigirPermissao("produtos:delete"),
+  listarProdutos(ESQUEMA_PRODUTO_LIXEIRA, { lixeira: true })
+);
+
+/**
+ * @swagger
+ * /produtos/{id}:
+ *   get:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Obter um produto específico
+ *     description: Este endpoint retorna um produto baseado no ID fornecido.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do produto
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Produto encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Produto'
+ *                 - type: object
+ *                   properties:
+ *                     midias:
+ *                       type: array
+ *                       description: Imagens e anexos do produto, a principal primeiro e depois pela ordem
+ *                       items:
+ *                         $ref: '#/components/schemas/MidiaProduto'
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Produto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+app.get("/produtos/:id", exigirPermissao("produtos:read"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    // Validar se o ID é um número válido
+    if (isNaN(id) || id < 1) {
+      return res
+        .status(400)
+        .json({ error: "ID deve ser um número inteiro positivo" });
+    }
+
+    const [rows] = await pool.query(
+      "SELECT * FROM produto WHERE Id = ? AND deletedAt IS NULL",
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Produto não encontrado" });
+    }
+
+    const categorias = await categoriasDosProdutos([id]);
+    const produto = {
+      ...formatarProduto(rows[0], categorias.get(id)),
+      midias: await listarMidias(id),
+    };
+
+    logInfo("Produto encontrado", req, rows[0]);
+    res.json(produto);
+  } catch (err) {
+    logError("Erro ao buscar produto", req, err);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
+
+/**
+ * @swagger
+ * /produtos/{id}:
+ *   put:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Atualizar um produto específico
+ *     description: Este endpoint atualiza um produto baseado no ID fornecido.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do produto
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Nome:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 255
+ *               Descricao:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 255
+ *               Preco:
+ *                 type: number
+ *                 minimum: 0
+ *               SKU:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Código único do produto (null remove)
+ *               Estoque:
+ *                 type: integer
+ *                 minimum: 0
+ *               Ativo:
+ *                 type: boolean
+ *               Categorias:
+ *                 type: array
+ *                 description: IDs das categorias (substitui as atuais)
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Produto atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Produto'
+ *       400:
+ *         description: Dados inválidos ou categoria inexistente
+ *       404:
+ *         description: Produto não encontrado
+ *       409:
+ *         description: SKU já está em uso
+ *       500:
+ *         description: Erro interno do servidor
+ */
+app.put(
+  "/produtos/:id",
+  exigirPermissao("produtos:write"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      // Validar se o ID é um número válido
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const { Nome, Descricao, Preco, Categorias } = req.body;
+      const catalogo = validarCatalogoProduto(req.body);
+
+      // Validação básica - pelo menos um campo deve ser fornecido
+      if (
+        !Nome &&
+        !Descricao &&
+        Preco === undefined &&
+        Categorias === undefined &&
+        Object.keys(catalogo).length === 0
+      ) {
+        return res.status(400).json({
+          error:
+            "Pelo menos um campo (Nome, Descrição, Preço, SKU, Estoque, Ativo ou Categorias) deve ser fornecido",
+        });
+      }
+
+      // Validações específicas para cada campo
+      const updates = {};
+      if (Nome !== undefined) {
+        if (Nome.length < 2 || Nome.length > 255) {
+          return res.status(400).json({
+            error: "Nome deve ter entre 2 e 255 caracteres",
+          });
+        }
+        updates.Nome = Nome.trim();
+      }
+
+      if (Descricao !== undefined) {
+        if (Descricao.length < 2 || Descricao.length > 255) {
+          return res.status(400).json({
+            error: "Descrição deve ter entre 2 e 255 caracteres",
+          });
+        }
+        updates.Descricao = Descricao.trim();
+      }
+
+      if (Preco !== undefined) {
+        if (isNaN(Preco) || Preco < 0) {
+          return res.status(400).json({
+            error: "Preço deve ser um número positivo",
+          });
+        }
+        updates.Preco = parseFloat(Preco);
+      }
+      Object.assign(updates, catalogo);
+
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [existe] = await connection.query(
+          "SELECT Id FROM produto WHERE Id = ? AND deletedAt IS NULL FOR UPDATE",
+          [id]
+        );
+        if (existe.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Produto não encontrado" });
+        }
+
+        // Construir query dinamicamente
+        if (Object.keys(updates).length > 0) {
+          const updateFields = Object.keys(updates)
+            .map((key) => `${key} = ?`)
+            .join(", ");
+          await connection.query(
+            `UPDATE produto SET ${updateFields} WHERE Id = ?`,
+            [...Object.values(updates), id]
+          );
+        }
+
+        if (Categorias !== undefined) {
+          const categorias = await validarCategorias(connection, Categorias);
+          await gravarCategoriasProduto(connection, id, categorias);
+        }
+
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      // Buscar o produto atualizado
+      const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [
+        id,
+      ]);
+      const categorias = await categoriasDosProdutos([id]);
+      const produtoAtualizado = formatarProduto(rows[0], categorias.get(id));
+
+      logInfo("Produto atualizado", req, produtoAtualizado);
+      res.json(produtoAtualizado);
+    } catch (err) {
+      if (responderErroProduto(res, err)) return;
+      logError("Erro ao atualizar produto", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+
+// Remove o produto de vez (esteja ou não na lixeira) e depois seus arquivos
+// (e derivados) no S3. Retorna { produto, relatorio } ou null se não existir.
+// Uma falha no S3 só é registrada: os arquivos podem ser removidos depois.
+async function excluirProdutoDefinitivamente(req, id) {
+  const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [id]);
+  if (rows.length === 0) return null;
+
+  const [midias] = await pool.query(
+    "SELECT DISTINCT Bucket FROM produto_midia WHERE ProdutoId = ?",
+    [id]
+  );
+
+  // Remover o produto (as mídias são removidas da tabela em cascata)
+  await pool.query("DELETE FROM produto WHERE Id = ?", [id]);
+
+  const relatorio = { deleted: [], errors: [] };
+  for (const { Bucket } of midias) {
+    await excluirPrefixo(Bucket, prefixoMidiasProduto(id), relatorio);
+  }
+  if (relatorio.errors.length > 0) {
+    logError("Erro ao remover mídias do produto", req, null, {
+      id,
+      errors: relatorio.errors,
+    });
+  }
+
+  return { produto: rows[0], relatorio };
+}
+
+/**
+ * @swagger
+ * /produtos/{id}:
+ *   delete:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Remover um produto específico
+ *     description: |
+ *       Move o produto para a lixeira (deletedAt): ele some das listagens e consultas, mas pode ser restaurado com POST /produtos/{id}/restore até a limpeza da lixeira (TRASH_RETENTION_DAYS).
+ *
+ *       Com hard=true o produto (da lixeira ou não) é removido definitivamente, junto com suas imagens e anexos no S3. Requer também a permissão produtos:admin.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do produto
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: hard
+ *         in: query
+ *         description: Remove definitivamente em vez de mover para a lixeira
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Produto movido para a lixeira ou removido (deletedMedia e mediaErrors só com hard=true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletedProduct:
+ *                   type: object
+ *                   properties:
+ *                     Id:
+ *                       type: integer
+ *                     Nome:
+ *                       type: string
+ *                     Descricao:
+ *                       type: string
+ *                     Preco:
+ *                       type: number
+ *                     deletedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 deletedMedia:
+ *                   type: array
+ *                   description: Chaves removidas do S3 (mídias do produto e seus derivados)
+ *                   items:
+ *                     type: string
+ *                 mediaErrors:
+ *                   type: array
+ *                   description: Arquivos que não puderam ser removidos do S3
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: ID ou hard inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Produto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+app.delete(
+  "/produtos/:id",
+  exigirPermissao("produtos:delete"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      // Validar se o ID é um número válido
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const hard = remocaoDefinitiva(req, "produtos:admin");
+
+      if (hard) {
+        const removido = await excluirProdutoDefinitivamente(req, id);
+        if (!removido) {
+          return res.status(404).json({ error: "Produto não encontrado" });
+        }
+
+        const { produto, relatorio } = removido;
+        logInfo("Produto removido definitivamente", req, {
+          ...produto,
+          deletedMedia: relatorio.deleted.length,
+        });
+        return res.json({
+          message: "Produto removido definitivamente",
+          deletedProduct: formatarProduto(produto),
+          deletedMedia: relatorio.deleted,
+          ...(relatorio.errors.length > 0 && {
+            mediaErrors: relatorio.errors,
+          }),
+        });
+      }
+
+      // Vai para a lixeira: um produto já removido não é encontrado (404).
+      // As mídias ficam no S3 até a remoção definitiva.
+      const [result] = await pool.query(
+        "UPDATE produto SET deletedAt = CURRENT_TIMESTAMP WHERE Id = ? AND deletedAt IS NULL",
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Produto não encontrado" });
+      }
+
+      const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [
+        id,
+      ]);
+      const produtoRemovido = formatarProduto(rows[0]);
+
+      logInfo("Produto movido para a lixeira", req, { id });
+      res.json({
+        message: "Produto movido para a lixeira",
+        deletedProduct: produtoRemovido,
+      });
+    } catch (err) {
+      if (err.status === 403) return responderAcessoNegado(req, res, err);
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logError("Erro ao remover produto", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /produtos/{id}/restore:
+ *   post:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Restaurar um produto da lixeira
+ *     description: Requer a permissão produtos:delete.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do produto
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Produto restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Produto'
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Produto não encontrado na lixeira
+ */
+app.post(
+  "/produtos/:id/restore",
+  exigirPermissao("produtos:delete"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const [result] = await pool.query(
+        "UPDATE produto SET deletedAt = NULL WHERE Id = ? AND deletedAt IS NOT NULL",
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ error: "Produto não encontrado na lixeira" });
+      }
+
+      const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [
+        id,
+      ]);
+      const categorias = await categoriasDosProdutos([id]);
+      const produto = formatarProduto(rows[0], categorias.get(id));
+
+      logInfo("Produto restaurado", req, { id });
+      res.json(produto);
+    } catch (err) {
+      logError("Erro ao restaurar produto", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
   }
-});
+);
+
+// Valida os campos de uma categoria. Com parcial, só os informados.
+function validarCategoria({ Nome, Descricao }, parcial = false) {
+  const campos = {};
+
+  if (Nome !== undefined || !parcial) {
+    const nome = typeof Nome === "string" ? Nome.trim() : "";
+    if (nome.length < 2 || nome.length > 100) {
+      throw erroHttp(400, "Nome deve ter entre 2 e 100 caracteres");
+    }
+    campos.Nome = nome;
+  }
+
+  if (Descricao !== undefined) {
+    const descricao = Descricao === null ? "" : String(Descricao).trim();
+    if (descricao.length > 255) {
+      throw erroHttp(400, "Descrição deve ter no máximo 255 caracteres");
+    }
+    campos.Descricao = descricao || null;
+  }
+
+  return campos;
+}
+
+// Categoria com a quantidade de produtos (sem os da lixeira)
+const SELECT_CATEGORIA =
+  "SELECT c.*, (SELECT COUNT(*) FROM produto_categoria pc JOIN produto p ON p.Id = pc.ProdutoId WHERE pc.CategoriaId = c.Id AND p.deletedAt IS NULL) AS totalProdutos FROM categoria c";
 
 /**
  * @swagger
- * /produtos:
+ * /categorias:
  *   post:
  *     tags:
  *       - CRUD MySQL
- *     summary: Criar um novo produto
- *     description: Este endpoint cria um novo produto no sistema MySQL.
+ *     summary: Criar uma categoria de produtos
+ *     description: Requer a permissão produtos:write.
  *     requestBody:
  *       required: true
  *       content:
@@ -783,230 +6935,452 @@ app.post("/init-db", async (req, res) => {
  *             type: object
  *             required:
  *               - Nome
- *               - Descricao
- *               - Preco
  *             properties:
  *               Nome:
  *                 type: string
- *                 description: Nome do produto
  *                 minLength: 2
- *                 maxLength: 255
+ *                 maxLength: 100
  *               Descricao:
  *                 type: string
- *                 description: Descrição do produto
- *                 minLength: 2
  *                 maxLength: 255
- *               Preco:
- *                 type: number
- *                 description: Preço do produto
- *                 minimum: 0
  *     responses:
  *       201:
- *         description: Produto criado com sucesso
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                   description: ID do produto criado
- *                 Nome:
- *                   type: string
- *                 Descricao:
- *                   type: string
- *                 Preco:
- *                   type: number
+ *         description: Categoria criada
  *       400:
- *         description: Requisição inválida
- *       500:
- *         description: Erro interno do servidor
+ *         description: Dados inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       409:
+ *         description: Já existe uma categoria com esse nome
  */
-app.post("/produtos", async (req, res) => {
-  const { Nome, Descricao, Preco } = req.body;
-
+app.post("/categorias", exigirPermissao("produtos:write"), async (req, res) => {
   try {
-    // Validação básica
-    if (!Nome || !Descricao || Preco === undefined) {
-      return res.status(400).json({
-        error: "Nome, Descrição e Preço são obrigatórios",
-      });
-    }
+    const campos = validarCategoria(req.body || {});
 
-    // Validações adicionais
-    if (Nome.length < 2 || Nome.length > 255) {
-      return res.status(400).json({
-        error: "Nome deve ter entre 2 e 255 caracteres",
-      });
-    }
+    const [result] = await pool.query(
+      "INSERT INTO categoria (Nome, Descricao) VALUES (?, ?)",
+      [campos.Nome, campos.Descricao ?? null]
+    );
 
-    if (Descricao.length < 2 || Descricao.length > 255) {
-      return res.status(400).json({
-        error: "Descrição deve ter entre 2 e 255 caracteres",
-      });
+    const categoria = {
+      Id: result.insertId,
+      Nome: campos.Nome,
+      Descricao: campos.Descricao ?? null,
+    };
+    logInfo("Categoria criada", req, categoria);
+    res.status(201).json(categoria);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
-
-    if (isNaN(Preco) || Preco < 0) {
-      return res.status(400).json({
-        error: "Preço deve ser um número positivo",
-      });
+    if (err.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json({ error: "Já existe uma categoria com esse nome" });
     }
+    logError("Erro ao criar categoria", req, err);
+    res.status(500).json({ error: "Ocorreu um erro interno" });
+  }
+});
 
-    await pool.query(`USE \`${DB_NAME}\``);
-    const [result] = await pool.query(
-      "INSERT INTO produto (Nome, Descricao, Preco) VALUES (?, ?, ?)",
-      [Nome.trim(), Descricao.trim(), parseFloat(Preco)]
+/**
+ * @swagger
+ * /categorias:
+ *   get:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Listar as categorias de produtos
+ *     description: Lista as categorias em ordem alfabética, com a quantidade de produtos de cada uma.
+ *     responses:
+ *       200:
+ *         description: Lista de categorias
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Categoria'
+ *                   - type: object
+ *                     properties:
+ *                       Descricao:
+ *                         type: string
+ *                         nullable: true
+ *                       totalProdutos:
+ *                         type: integer
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ */
+app.get("/categorias", exigirPermissao("produtos:read"), async (req, res) => {
+  try {
+    const [categorias] = await pool.query(
+      `${SELECT_CATEGORIA} ORDER BY c.Nome`
     );
 
-    const produtoId = result.insertId;
-    logInfo("Produto criado", req, { id: produtoId, Nome, Descricao, Preco });
-
-    res.status(201).json({
-      id: produtoId,
-      Nome: Nome.trim(),
-      Descricao: Descricao.trim(),
-      Preco: parseFloat(Preco),
-    });
+    res.json(categorias);
   } catch (err) {
-    logError("Erro ao criar produto", req, err);
+    logError("Erro ao listar categorias", req, err);
     res.status(500).json({ error: "Ocorreu um erro interno" });
   }
 });
 
 /**
  * @swagger
- * /produtos:
+ * /categorias/{id}:
  *   get:
  *     tags:
  *       - CRUD MySQL
- *     summary: Listar todos os produtos
- *     description: Este endpoint retorna todos os produtos cadastrados no sistema MySQL com paginação opcional.
+ *     summary: Obter uma categoria
+ *     description: Para os produtos da categoria, use GET /produtos?categoria={id}.
  *     parameters:
- *       - name: page
- *         in: query
- *         description: Número da página (padrão 1)
+ *       - name: id
+ *         in: path
+ *         required: true
  *         schema:
  *           type: integer
  *           minimum: 1
- *       - name: limit
- *         in: query
- *         description: Limite de produtos por página (padrão 10, máximo 100)
+ *     responses:
+ *       200:
+ *         description: Categoria encontrada
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Categoria não encontrada
+ */
+app.get(
+  "/categorias/:id",
+  exigirPermissao("produtos:read"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const [rows] = await pool.query(`${SELECT_CATEGORIA} WHERE c.Id = ?`, [
+        id,
+      ]);
+
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Categoria não encontrada" });
+      }
+
+      res.json(rows[0]);
+    } catch (err) {
+      logError("Erro ao buscar categoria", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /categorias/{id}:
+ *   put:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Atualizar uma categoria
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 100
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Nome:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 100
+ *               Descricao:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 255
  *     responses:
  *       200:
- *         description: Lista de produtos
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 products:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       Id:
- *                         type: integer
- *                       Nome:
- *                         type: string
- *                       Descricao:
- *                         type: string
- *                       Preco:
- *                         type: number
- *                       createdAt:
- *                         type: string
- *                         format: date-time
- *                       updatedAt:
- *                         type: string
- *                         format: date-time
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     currentPage:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
- *                     totalProducts:
- *                       type: integer
- *                     hasNext:
- *                       type: boolean
- *                     hasPrev:
- *                       type: boolean
+ *         description: Categoria atualizada
  *       400:
- *         description: Parâmetros inválidos
- *       500:
- *         description: Erro interno do servidor
+ *         description: Dados inválidos
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Categoria não encontrada
+ *       409:
+ *         description: Já existe uma categoria com esse nome
  */
-app.get("/produtos", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+app.put(
+  "/categorias/:id",
+  exigirPermissao("produtos:write"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
 
-    // Validar limites
-    if (limit > 100) {
-      return res
-        .status(400)
-        .json({ error: "Limite máximo é 100 produtos por página" });
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const campos = validarCategoria(req.body || {}, true);
+      if (Object.keys(campos).length === 0) {
+        return res.status(400).json({
+          error: "Pelo menos um campo (Nome ou Descrição) deve ser fornecido",
+        });
+      }
+
+      const [result] = await pool.query(
+        `UPDATE categoria SET ${Object.keys(campos)
+          .map((campo) => `${campo} = ?`)
+          .join(", ")} WHERE Id = ?`,
+        [...Object.values(campos), id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Categoria não encontrada" });
+      }
+
+      const [rows] = await pool.query(`${SELECT_CATEGORIA} WHERE c.Id = ?`, [
+        id,
+      ]);
+      logInfo("Categoria atualizada", req, rows[0]);
+      res.json(rows[0]);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ error: "Já existe uma categoria com esse nome" });
+      }
+      logError("Erro ao atualizar categoria", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
     }
+  }
+);
 
-    if (page < 1) {
-      return res
-        .status(400)
-        .json({ error: "Número da página deve ser maior que 0" });
+/**
+ * @swagger
+ * /categorias/{id}:
+ *   delete:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Remover uma categoria
+ *     description: Os produtos da categoria não são removidos, apenas deixam de pertencer a ela. Requer a permissão produtos:delete.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Categoria removida
+ *       400:
+ *         description: ID inválido
+ *       403:
+ *         $ref: '#/components/responses/AcessoNegado'
+ *       404:
+ *         description: Categoria não encontrada
+ */
+app.delete(
+  "/categorias/:id",
+  exigirPermissao("produtos:delete"),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id) || id < 1) {
+        return res
+          .status(400)
+          .json({ error: "ID deve ser um número inteiro positivo" });
+      }
+
+      const [rows] = await pool.query(`${SELECT_CATEGORIA} WHERE c.Id = ?`, [
+        id,
+      ]);
+
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Categoria não encontrada" });
+      }
+
+      // As ligações com os produtos são removidas em cascata
+      await pool.query("DELETE FROM categoria WHERE Id = ?", [id]);
+
+      logInfo("Categoria removida", req, rows[0]);
+      res.json({
+        message: "Categoria removida com sucesso",
+        deletedCategory: rows[0],
+      });
+    } catch (err) {
+      logError("Erro ao remover categoria", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
     }
+  }
+);
 
-    const offset = (page - 1) * limit;
+// Bucket das imagens e anexos dos produtos. Os arquivos de cada produto ficam
+// em produtos/<id>/, junto com seus derivados de imagem.
+const PRODUCT_MEDIA_BUCKET = process.env.PRODUCT_MEDIA_BUCKET;
 
-    await pool.query(`USE \`${DB_NAME}\``);
+const prefixoMidiasProduto = (produtoId) => `produtos/${produtoId}/`;
 
-    // Buscar produtos com paginação
-    const [products] = await pool.query(
-      "SELECT * FROM produto ORDER BY createdAt DESC LIMIT ? OFFSET ?",
-      [limit, offset]
-    );
+// Mídia no formato da API, com uma URL pré-assinada para download
+const midiaComUrl = async (midia) => ({
+  ...midia,
+  Principal: !!midia.Principal,
+  url: await s3.getSignedUrlPromise("getObject", {
+    Bucket: midia.Bucket,
+    Key: midia.Chave,
+    Expires: PRESIGN_EXPIRES,
+  }),
+});
+
+// Mídias de um produto: a principal primeiro e depois pela ordem
+async function listarMidias(produtoId) {
+  const [midias] = await pool.query(
+    "SELECT * FROM produto_midia WHERE ProdutoId = ? ORDER BY Principal DESC, Ordem, Id",
+    [produtoId]
+  );
+  return Promise.all(midias.map(midiaComUrl));
+}
+
+// Valida o ID e carrega o produto em req.produto (404 se não existir)
+async function carregarProduto(req, res, next) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id < 1) {
+      return res
+        .status(400)
+        .json({ error: "ID deve ser um número inteiro positivo" });
+    }
 
-    // Contar total de produtos
-    const [countResult] = await pool.query(
-      "SELECT COUNT(*) as total FROM produto"
+    const [rows] = await pool.query(
+      "SELECT * FROM produto WHERE Id = ? AND deletedAt IS NULL",
+      [id]
     );
-    const totalProducts = countResult[0].total;
-    const totalPages = Math.ceil(totalProducts / limit);
-
-    const pagination = {
-      currentPage: page,
-      totalPages,
-      totalProducts,
-      hasNext: page < totalPages,
-      hasPrev: page > 1,
-    };
 
-    logInfo("Produtos encontrados", req, {
-      count: products.length,
-      page,
-      totalProducts,
-    });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Produto não encontrado" });
+    }
 
-    res.json({
-      products,
-      pagination,
-    });
+    req.produto = rows[0];
+    next();
   } catch (err) {
-    logError("Erro ao buscar produtos", req, err);
+    logError("Erro ao buscar produto", req, err);
     res.status(500).json({ error: "Ocorreu um erro interno" });
   }
+}
+
+const exigirBucketMidias = (req, res, next) => {
+  if (!PRODUCT_MEDIA_BUCKET) {
+    return res.status(503).json({
+      error: "Bucket de mídias de produtos não configurado",
+      details: "Defina a variável de ambiente PRODUCT_MEDIA_BUCKET",
+    });
+  }
+  next();
+};
+
+// Upload das mídias direto para o S3, com as mesmas validações do upload de
+// arquivos (tipo pelo conteúdo, tamanho e regras do bucket). As chaves são
+// geradas (UUID) para não haver colisão entre arquivos com o mesmo nome.
+const uploadMidiasProduto = multer({
+  storage: s3Storage({
+    s3,
+    partSize: UPLOAD_PART_SIZE,
+    queueSize: UPLOAD_QUEUE_SIZE,
+    params: async (req, file) => {
+      variantesSolicitadas(parametroUpload(req, "derivatives"));
+
+      const regra = regraDoBucket(PRODUCT_MEDIA_BUCKET);
+      const tipo = await detectarTipo(file.inicio, file.mimetype);
+      validarTipo({
+        nome: file.originalname,
+        tipoDeclarado: file.mimetype,
+        tipoDetectado: tipo,
+        tiposPermitidos: regra.allowedTypes,
+      });
+
+      // As URLs pré-assinadas não levam a chave do cliente
+      const criptografia = paramsCriptografia(req, regra);
+      if (criptografia.SSECustomerKey) {
+        throw erroHttp(400, "SSE-C não é suportado para mídias de produtos");
+      }
+
+      const extensao = path.posix.extname(
+        sanitizarNomeArquivo(file.originalname)
+      );
+      return {
+        Bucket: PRODUCT_MEDIA_BUCKET,
+        Key: `${prefixoMidiasProduto(
+          req.produto.Id
+        )}${crypto.randomUUID()}${extensao}`,
+        ContentType: tipo,
+        Metadata: { produto: String(req.produto.Id) },
+        ...criptografia,
+        verificacao: { tamanhoMaximo: regra.maxSize },
+      };
+    },
+    isolarErros: true,
+    bytesInicio: BYTES_DETECCAO,
+  }),
+  limits: { fileSize: UPLOAD_MAX_FILE_SIZE, files: UPLOAD_MAX_FILES },
 });
 
 /**
  * @swagger
- * /produtos/{id}:
+ * components:
+ *   schemas:
+ *     MidiaProduto:
+ *       type: object
+ *       properties:
+ *         Id:
+ *           type: integer
+ *         ProdutoId:
+ *           type: integer
+ *         Bucket:
+ *           type: string
+ *         Chave:
+ *           type: string
+ *           description: Chave do arquivo no S3
+ *         NomeArquivo:
+ *           type: string
+ *           description: Nome original do arquivo enviado
+ *         ContentType:
+ *           type: string
+ *         Tamanho:
+ *           type: integer
+ *         Ordem:
+ *           type: integer
+ *         Principal:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         url:
+ *           type: string
+ *           description: URL pré-assinada para download (validade S3_PRESIGN_EXPIRES)
+ */
+
+/**
+ * @swagger
+ * /produtos/{id}/midias:
  *   get:
  *     tags:
  *       - CRUD MySQL
- *     summary: Obter um produto específico
- *     description: Este endpoint retorna um produto baseado no ID fornecido.
+ *     summary: Listar as imagens e anexos de um produto
  *     parameters:
  *       - name: id
  *         in: path
@@ -1017,26 +7391,13 @@ app.get("/produtos", async (req, res) => {
  *           minimum: 1
  *     responses:
  *       200:
- *         description: Produto encontrado
+ *         description: Mídias do produto, a principal primeiro e depois pela ordem
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 Id:
- *                   type: integer
- *                 Nome:
- *                   type: string
- *                 Descricao:
- *                   type: string
- *                 Preco:
- *                   type: number
- *                 createdAt:
- *                   type: string
- *                   format: date-time
- *                 updatedAt:
- *                   type: string
- *                   format: date-time
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MidiaProduto'
  *       400:
  *         description: ID inválido
  *       404:
@@ -1044,40 +7405,218 @@ app.get("/produtos", async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-app.get("/produtos/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
+app.get(
+  "/produtos/:id/midias",
+  exigirPermissao("produtos:read"),
+  carregarProduto,
+  async (req, res) => {
+    try {
+      const midias = await listarMidias(req.produto.Id);
 
-    // Validar se o ID é um número válido
-    if (isNaN(id) || id < 1) {
-      return res
-        .status(400)
-        .json({ error: "ID deve ser um número inteiro positivo" });
+      logInfo("Mídias do produto encontradas", req, {
+        id: req.produto.Id,
+        count: midias.length,
+      });
+      res.json(midias);
+    } catch (err) {
+      logError("Erro ao buscar mídias do produto", req, err);
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /produtos/{id}/midias:
+ *   post:
+ *     tags:
+ *       - CRUD MySQL
+ *     summary: Enviar imagens e anexos de um produto
+ *     description: Os arquivos são enviados ao bucket PRODUCT_MEDIA_BUCKET em produtos/{id}/ e adicionados ao final da ordem. Se o produto ainda não tem mídia principal, o primeiro arquivo enviado passa a ser a principal. Os campos do formulário devem vir antes dos arquivos.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID do produto
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               principal:
+ *                 type: boolean
+ *                 description: Torna o primeiro arquivo enviado a mídia principal
+ *               derivatives:
+ *                 type: string
+ *                 description: Derivados de imagem a gerar (true ou lista de nomes, ex. "thumb")
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Mídias adicionadas
+ *       207:
+ *         description: Parte dos arquivos não foi enviada (ver errors)
+ *       400:
+ *         description: Nenhum arquivo enviado ou nenhum arquivo válido
+ *       404:
+ *         description: Produto não encontrado
+ *       429:
+ *         $ref: '#/components/responses/MuitasRequisicoes'
+ *       503:
+ *         description: PRODUCT_MEDIA_BUCKET não configurado
+ */
+app.post(
+  "/produtos/:id/midias",
+  limitar("upload"),
+  exigirPermissao("produtos:write"),
+  exigirBucketMidias,
+  carregarProduto,
+  receberArquivos(
+    uploadMidiasProduto.fields([
+      { name: "file", maxCount: 1 },
+      { name: "files", maxCount: UPLOAD_MAX_FILES },
+    ])
+  ),
+  async (req, res) => {
+    const arquivos = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+    if (arquivos.length === 0) {
+      return res.status(400).json({ message: "Nenhum arquivo enviado." });
     }
 
-    await pool.query(`USE \`${DB_NAME}\``);
-    const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [id]);
+    const errors = arquivos
+      .filter((file) => file.error)
+      .map((file) => ({
+        fileName: file.originalname,
+        status: file.error.status || 500,
+        error: file.error.message,
+      }));
+    const enviados = [];
+    for (const file of arquivos.filter((file) => !file.error)) {
+      enviados.push({
+        nomeArquivo: file.originalname,
+        data: await derivadosDoUpload(req, resultadoUpload(file)),
+      });
+    }
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: "Produto não encontrado" });
+    if (enviados.length === 0) {
+      // Com um único motivo de falha, responde com o status dele (ex. 415)
+      const status = errors.every((erro) => erro.status === errors[0].status)
+        ? errors[0].status
+        : 400;
+      logError("Nenhuma mídia do produto foi enviada", req, null, { errors });
+      return res.status(status).json({
+        error: "Nenhum arquivo foi enviado",
+        errors,
+      });
     }
 
-    logInfo("Produto encontrado", req, rows[0]);
-    res.json(rows[0]);
-  } catch (err) {
-    logError("Erro ao buscar produto", req, err);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
+    const produtoId = req.produto.Id;
+    const principal = ["true", "1", "on"].includes(String(req.body?.principal));
+    const chaves = enviados.map(({ data }) => data.Key);
+    let connection;
+    let salvo = false;
+
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [[atual]] = await connection.query(
+        "SELECT COALESCE(MAX(Ordem), -1) AS ultimaOrdem, COALESCE(MAX(Principal), 0) AS temPrincipal FROM produto_midia WHERE ProdutoId = ? FOR UPDATE",
+        [produtoId]
+      );
+
+      if (principal) {
+        await connection.query(
+          "UPDATE produto_midia SET Principal = FALSE WHERE ProdutoId = ?",
+          [produtoId]
+        );
+      }
+
+      for (const [i, { nomeArquivo, data }] of enviados.entries()) {
+        await connection.query(
+          "INSERT INTO produto_midia (ProdutoId, Bucket, Chave, NomeArquivo, ContentType, Tamanho, Ordem, Principal) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            produtoId,
+            data.Bucket,
+            data.Key,
+            nomeArquivo.slice(0, 255),
+            data.ContentType,
+            data.Size,
+            atual.ultimaOrdem + 1 + i,
+            i === 0 && (principal || !atual.temPrincipal),
+          ]
+        );
+      }
+
+      await connection.commit();
+      salvo = true;
+      connection.release();
+      connection = undefined;
+
+      const midias = await listarMidias(produtoId);
+
+      logInfo("Mídias do produto adicionadas", req, {
+        id: produtoId,
+        keys: chaves,
+        failed: errors.length,
+      });
+      res.status(errors.length > 0 ? 207 : 201).json({
+        message:
+          errors.length > 0
+            ? `${errors.length} de ${arquivos.length} arquivo(s) não foram enviados`
+            : "Mídias adicionadas com sucesso",
+        added: midias.filter((midia) => chaves.includes(midia.Chave)),
+        midias,
+        errors,
+      });
+    } catch (err) {
+      logError("Erro ao salvar mídias do produto", req, err, { salvo });
+
+      // Sem o registro no banco os arquivos ficariam órfãos no S3. Depois do
+      // commit eles já pertencem ao produto e ficam
+      if (!salvo) {
+        await connection
+          ?.rollback()
+          .catch((erro) =>
+            logError("Erro ao desfazer a transação das mídias", req, erro)
+          );
+        try {
+          const relatorio = { deleted: [], errors: [] };
+          for (const { data } of enviados) {
+            await excluirPrefixo(
+              data.Bucket,
+              prefixoDerivados(data.Key),
+              relatorio
+            );
+          }
+          await excluirLote(PRODUCT_MEDIA_BUCKET, chaves, relatorio);
+        } catch (erro) {
+          logError("Erro ao desfazer o envio das mídias do produto", req, erro);
+        }
+      }
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    } finally {
+      connection?.release();
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /produtos/{id}:
+ * /produtos/{id}/midias/{midiaId}:
  *   put:
  *     tags:
  *       - CRUD MySQL
- *     summary: Atualizar um produto específico
- *     description: Este endpoint atualiza um produto baseado no ID fornecido.
+ *     summary: Alterar a ordem ou a mídia principal de um produto
  *     parameters:
  *       - name: id
  *         in: path
@@ -1086,6 +7625,13 @@ app.get("/produtos/:id", async (req, res) => {
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - name: midiaId
+ *         in: path
+ *         required: true
+ *         description: ID da mídia
+ *         schema:
+ *           type: integer
+ *           minimum: 1
  *     requestBody:
  *       required: true
  *       content:
@@ -1093,134 +7639,121 @@ app.get("/produtos/:id", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               Nome:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 255
- *               Descricao:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 255
- *               Preco:
- *                 type: number
+ *               Ordem:
+ *                 type: integer
  *                 minimum: 0
+ *               Principal:
+ *                 type: boolean
+ *                 description: true torna esta a mídia principal (a anterior deixa de ser)
  *     responses:
  *       200:
- *         description: Produto atualizado
+ *         description: Mídias do produto atualizadas
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 Id:
- *                   type: integer
- *                 Nome:
- *                   type: string
- *                 Descricao:
- *                   type: string
- *                 Preco:
- *                   type: number
- *                 createdAt:
- *                   type: string
- *                   format: date-time
- *                 updatedAt:
- *                   type: string
- *                   format: date-time
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MidiaProduto'
  *       400:
  *         description: Dados inválidos
  *       404:
- *         description: Produto não encontrado
- *       500:
- *         description: Erro interno do servidor
+ *         description: Produto ou mídia não encontrados
  */
-app.put("/produtos/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
+app.put(
+  "/produtos/:id/midias/:midiaId",
+  exigirPermissao("produtos:write"),
+  carregarProduto,
+  async (req, res) => {
+    const midiaId = parseInt(req.params.midiaId);
+    const { Ordem, Principal } = req.body || {};
 
-    // Validar se o ID é um número válido
-    if (isNaN(id) || id < 1) {
+    if (isNaN(midiaId) || midiaId < 1) {
       return res
         .status(400)
-        .json({ error: "ID deve ser um número inteiro positivo" });
+        .json({ error: "ID da mídia deve ser um número inteiro positivo" });
     }
 
-    const { Nome, Descricao, Preco } = req.body;
-
-    // Validação básica - pelo menos um campo deve ser fornecido
-    if (!Nome && !Descricao && Preco === undefined) {
+    if (Ordem === undefined && Principal === undefined) {
       return res.status(400).json({
-        error:
-          "Pelo menos um campo (Nome, Descrição ou Preço) deve ser fornecido",
+        error: "Pelo menos um campo (Ordem ou Principal) deve ser fornecido",
       });
     }
 
-    // Validações específicas para cada campo
-    const updates = {};
-    if (Nome !== undefined) {
-      if (Nome.length < 2 || Nome.length > 255) {
-        return res.status(400).json({
-          error: "Nome deve ter entre 2 e 255 caracteres",
-        });
-      }
-      updates.Nome = Nome.trim();
+    if (Ordem !== undefined && (!Number.isInteger(Ordem) || Ordem < 0)) {
+      return res
+        .status(400)
+        .json({ error: "Ordem deve ser um inteiro maior ou igual a 0" });
     }
 
-    if (Descricao !== undefined) {
-      if (Descricao.length < 2 || Descricao.length > 255) {
-        return res.status(400).json({
-          error: "Descrição deve ter entre 2 e 255 caracteres",
-        });
-      }
-      updates.Descricao = Descricao.trim();
+    if (Principal !== undefined && typeof Principal !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "Principal deve ser true ou false" });
     }
 
-    if (Preco !== undefined) {
-      if (isNaN(Preco) || Preco < 0) {
-        return res.status(400).json({
-          error: "Preço deve ser um número positivo",
-        });
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        "SELECT * FROM produto_midia WHERE Id = ? AND ProdutoId = ? FOR UPDATE",
+        [midiaId, req.produto.Id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: "Mídia não encontrada" });
       }
-      updates.Preco = parseFloat(Preco);
-    }
 
-    await pool.query(`USE \`${DB_NAME}\``);
+      // Só pode haver uma mídia principal por produto
+      if (Principal) {
+        await connection.query(
+          "UPDATE produto_midia SET Principal = FALSE WHERE ProdutoId = ?",
+          [req.produto.Id]
+        );
+      }
 
-    // Construir query dinamicamente
-    const updateFields = Object.keys(updates)
-      .map((key) => `${key} = ?`)
-      .join(", ");
-    const updateValues = Object.values(updates);
-    updateValues.push(id);
+      const updates = {};
+      if (Ordem !== undefined) updates.Ordem = Ordem;
+      if (Principal !== undefined) updates.Principal = Principal;
 
-    const [result] = await pool.query(
-      `UPDATE produto SET ${updateFields} WHERE Id = ?`,
-      updateValues
-    );
+      await connection.query(
+        `UPDATE produto_midia SET ${Object.keys(updates)
+          .map((key) => `${key} = ?`)
+          .join(", ")} WHERE Id = ?`,
+        [...Object.values(updates), midiaId]
+      );
+      await connection.commit();
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: "Produto não encontrado" });
+      const midias = await listarMidias(req.produto.Id);
+      logInfo("Mídia do produto atualizada", req, {
+        id: req.produto.Id,
+        midiaId,
+        ...updates,
+      });
+      res.json(midias);
+    } catch (err) {
+      logError("Erro ao atualizar mídia do produto", req, err);
+      await connection
+        ?.rollback()
+        .catch((erro) =>
+          logError("Erro ao desfazer a transação da mídia", req, erro)
+        );
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    } finally {
+      connection?.release();
     }
-
-    // Buscar o produto atualizado
-    const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [id]);
-    const produtoAtualizado = rows[0];
-
-    logInfo("Produto atualizado", req, produtoAtualizado);
-    res.json(produtoAtualizado);
-  } catch (err) {
-    logError("Erro ao atualizar produto", req, err);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
   }
-});
+);
 
 /**
  * @swagger
- * /produtos/{id}:
+ * /produtos/{id}/midias/{midiaId}:
  *   delete:
  *     tags:
  *       - CRUD MySQL
- *     summary: Remover um produto específico
- *     description: Este endpoint remove um produto baseado no ID fornecido.
+ *     summary: Remover uma imagem ou anexo de um produto
+ *     description: Remove o registro e o arquivo no S3 (com seus derivados). Se a mídia removida era a principal, a próxima pela ordem passa a ser a principal.
  *     parameters:
  *       - name: id
  *         in: path
@@ -1229,70 +7762,168 @@ app.put("/produtos/:id", async (req, res) => {
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - name: midiaId
+ *         in: path
+ *         required: true
+ *         description: ID da mídia
+ *         schema:
+ *           type: integer
+ *           minimum: 1
  *     responses:
  *       200:
- *         description: Produto removido com sucesso
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 deletedProduct:
- *                   type: object
- *                   properties:
- *                     Id:
- *                       type: integer
- *                     Nome:
- *                       type: string
- *                     Descricao:
- *                       type: string
- *                     Preco:
- *                       type: number
+ *         description: Mídia removida
  *       400:
  *         description: ID inválido
  *       404:
- *         description: Produto não encontrado
- *       500:
- *         description: Erro interno do servidor
+ *         description: Produto ou mídia não encontrados
  */
-app.delete("/produtos/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
+app.delete(
+  "/produtos/:id/midias/:midiaId",
+  exigirPermissao("produtos:write"),
+  carregarProduto,
+  async (req, res) => {
+    const midiaId = parseInt(req.params.midiaId);
 
-    // Validar se o ID é um número válido
-    if (isNaN(id) || id < 1) {
+    if (isNaN(midiaId) || midiaId < 1) {
       return res
         .status(400)
-        .json({ error: "ID deve ser um número inteiro positivo" });
+        .json({ error: "ID da mídia deve ser um número inteiro positivo" });
     }
 
-    await pool.query(`USE \`${DB_NAME}\``);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      // Trava as mídias do produto: duas remoções ao mesmo tempo deixariam o
+      // produto sem principal ou com duas
+      const [rows] = await connection.query(
+        "SELECT * FROM produto_midia WHERE ProdutoId = ? FOR UPDATE",
+        [req.produto.Id]
+      );
+      const midia = rows.find((linha) => linha.Id === midiaId);
+      if (!midia) {
+        await connection.rollback();
+        return res.status(404).json({ error: "Mídia não encontrada" });
+      }
 
-    // Primeiro buscar o produto para retornar suas informações
-    const [rows] = await pool.query("SELECT * FROM produto WHERE Id = ?", [id]);
+      await connection.query("DELETE FROM produto_midia WHERE Id = ?", [
+        midiaId,
+      ]);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: "Produto não encontrado" });
+      // A próxima mídia pela ordem assume como principal
+      if (midia.Principal) {
+        await connection.query(
+          "UPDATE produto_midia SET Principal = TRUE WHERE ProdutoId = ? ORDER BY Ordem, Id LIMIT 1",
+          [req.produto.Id]
+        );
+      }
+      await connection.commit();
+
+      const relatorio = { deleted: [], errors: [] };
+      await excluirLote(midia.Bucket, [midia.Chave], relatorio);
+      await excluirPrefixo(
+        midia.Bucket,
+        prefixoDerivados(midia.Chave),
+        relatorio
+      );
+      if (relatorio.errors.length > 0) {
+        logError("Erro ao remover arquivo da mídia", req, null, {
+          midia,
+          errors: relatorio.errors,
+        });
+      }
+
+      logInfo("Mídia do produto removida", req, midia);
+      res.json({
+        message: "Mídia removida com sucesso",
+        deletedMedia: midia,
+        deletedKeys: relatorio.deleted,
+        ...(relatorio.errors.length > 0 && { errors: relatorio.errors }),
+      });
+    } catch (err) {
+      logError("Erro ao remover mídia do produto", req, err);
+      await connection
+        ?.rollback()
+        .catch((erro) =>
+          logError("Erro ao desfazer a transação da mídia", req, erro)
+        );
+      res.status(500).json({ error: "Ocorreu um erro interno" });
+    } finally {
+      connection?.release();
     }
+  }
+);
+
+//#endregion
+
+//#region Lixeira
+// Usuários e produtos na lixeira há mais de TRASH_RETENTION_DAYS dias são
+// removidos definitivamente (com os arquivos no S3) a cada
+// TRASH_PURGE_INTERVAL_MINUTES, e uma vez ao iniciar. TRASH_RETENTION_DAYS=0
+// desliga a limpeza (vazio = 30).
+// Com vários containers a limpeza roda em todos, o que não causa problema: um
+// item já removido por outro é ignorado.
+const TRASH_RETENTION_DAYS = (() => {
+  const dias = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(dias) ? 30 : dias;
+})();
+const TRASH_PURGE_INTERVAL_MINUTES =
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+// Itens de cada tipo removidos por execução; o restante fica para a próxima
+const TRASH_PURGE_BATCH = 100;
 
-    const produtoParaRemover = rows[0];
+async function limparLixeira() {
+  const limite = new Date(
+    Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  const removidos = { usuarios: 0, produtos: 0 };
+
+  // Um banco fora do ar não impede a limpeza do outro
+  try {
+    const usuarios = await User.find({ deletedAt: { $lte: limite } }, "_id")
+      .sort({ deletedAt: 1 })
+      .limit(TRASH_PURGE_BATCH);
+    for (const { _id } of usuarios) {
+      if (await excluirUsuarioDefinitivamente(null, _id)) removidos.usuarios++;
+    }
+  } catch (error) {
+    logError("Erro ao limpar a lixeira de usuários", null, error);
+  }
 
-    // Remover o produto
-    const [result] = await pool.query("DELETE FROM produto WHERE Id = ?", [id]);
+  try {
+    const [produtos] = await pool.query(
+      "SELECT Id FROM produto WHERE deletedAt <= ? ORDER BY deletedAt LIMIT ?",
+      [limite, TRASH_PURGE_BATCH]
+    );
+    for (const { Id } of produtos) {
+      if (await excluirProdutoDefinitivamente(null, Id)) removidos.produtos++;
+    }
+  } catch (error) {
+    logError("Erro ao limpar a lixeira de produtos", null, error);
+  }
 
-    logInfo("Produto removido", req, produtoParaRemover);
-    res.json({
-      message: "Produto removido com sucesso",
-      deletedProduct: produtoParaRemover,
+  if (removidos.usuarios > 0 || removidos.produtos > 0) {
+    logInfo("Lixeira limpa", null, {
+      ...removidos,
+      retencaoDias: TRASH_RETENTION_DAYS,
     });
-  } catch (err) {
-    logError("Erro ao remover produto", req, err);
-    res.status(500).json({ error: "Ocorreu um erro interno" });
   }
-});
+  return removidos;
+}
+
+// Chamado quando o servidor sobe: limpa já uma vez (containers reiniciados
+// antes do intervalo também limpam a lixeira) e depois a cada intervalo
+function agendarLimpezaLixeira() {
+  if (!(TRASH_RETENTION_DAYS > 0)) return;
 
+  limparLixeira();
+  const limpeza = setInterval(
+    limparLixeira,
+    TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000
+  );
+  limpeza.unref(); // Não impede o processo de encerrar
+}
 //#endregion
 
 swaggerDocs(app);
@@ -1316,4 +7947,17 @@ app.get("/version", (req, res) => {
 app.get("/version", (req, res) => {
   res.json({ version: "0.1.0" });
 });
-app.listen(3000, () => console.log("Servidor rodando na porta 3000"));
+// Sobe o servidor só com o banco migrado: se as migrações falharem o processo
+// termina com erro em vez de atender com um schema desatualizado
+migrarAoIniciar()
+  .then(() =>
+    app.listen(3000, () => {
+      console.log("Servidor rodando na porta 3000");
+      agendarLimpezaLixeira();
+    })
+  )
+  .catch(async (err) => {
+    console.error("Erro ao aplicar migrações do MySQL:", err);
+    await logError("Erro ao aplicar migrações do MySQL", null, err);
+    process.exit(1);
+  });
@@ -8,7 +8,9 @@ const options = {
             title: 'API AWS',
             version: '0.0.1',
             description: 'API de exemplo para integração com a AWS',
-        }
+        },
+        // Rotas públicas declaram "security: []" no próprio bloco @swagger
+        security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
     },
     apis: ['./server.js'],
 };
@@ -0,0 +1,145 @@
+const path = require("path");
+const FileType = require("file-type");
+const erroHttp = require("./erroHttp");
+
+// Quantidade de bytes do início do arquivo usada para detectar o tipo real
+// (assinatura / magic bytes)
+const BYTES_DETECCAO = 4100;
+
+// Executáveis são sempre recusados, independente das regras configuradas
+const TIPOS_EXECUTAVEIS = [
+  "application/x-msdownload",
+  "application/x-dosexec",
+  "application/vnd.microsoft.portable-executable",
+  "application/x-elf",
+  "application/x-executable",
+  "application/x-mach-binary",
+  "application/x-sharedlib",
+  "application/x-msi",
+  "application/x-sh",
+  "application/x-bat",
+  "application/java-archive",
+];
+const EXTENSOES_EXECUTAVEIS = [
+  ".exe",
+  ".dll",
+  ".com",
+  ".scr",
+  ".msi",
+  ".bat",
+  ".cmd",
+  ".ps1",
+  ".vbs",
+  ".sh",
+  ".jar",
+  ".elf",
+  ".app",
+];
+
+// Tipos declarados aceitos para arquivos de texto, que não têm assinatura binária
+const TIPOS_TEXTO = /^(text\/[\w.+-]+|application\/(json|xml|x-ndjson))$/;
+
+// Regras padrão e por bucket. Exemplo de UPLOAD_RULES:
+//   {"fotos-produtos": {"allowedTypes": ["image/*"], "maxSizeMB": 20},
+//    "docs-clientes": {"encryption": "sse-kms", "kmsKeyId": "arn:aws:kms:..."},
+//    "catalogo": {"allowedTypes": ["image/*"], "derivatives": ["thumb"]}}
+const TIPOS_PADRAO = (process.env.UPLOAD_ALLOWED_TYPES || "*/*")
+  .split(",")
+  .map((tipo) => tipo.trim())
+  .filter(Boolean);
+
+// Um UPLOAD_RULES inválido impede a aplicação de subir: ignorá-lo liberaria os
+// tipos, tamanhos e criptografias exigidos por bucket
+const REGRAS_BUCKETS = (() => {
+  if (!process.env.UPLOAD_RULES) return {};
+  try {
+    return JSON.parse(process.env.UPLOAD_RULES);
+  } catch (error) {
+    throw new Error(`UPLOAD_RULES inválido: ${error.message}`);
+  }
+})();
+
+// Regra de upload do bucket: tipos permitidos, tamanho máximo (bytes, opcional)
+// criptografia padrão (S3_DEFAULT_ENCRYPTION / S3_DEFAULT_KMS_KEY_ID) e
+// derivados de imagem gerados no upload
+function regraDoBucket(bucket) {
+  const regra = REGRAS_BUCKETS[bucket] || {};
+  return {
+    allowedTypes: regra.allowedTypes || TIPOS_PADRAO,
+    maxSize: regra.maxSizeMB ? regra.maxSizeMB * 1024 * 1024 : undefined,
+    encryption: regra.encryption || process.env.S3_DEFAULT_ENCRYPTION,
+    kmsKeyId: regra.kmsKeyId || process.env.S3_DEFAULT_KMS_KEY_ID,
+    derivatives: regra.derivatives,
+  };
+}
+
+const pareceTexto = (buffer) => !buffer.includes(0);
+
+// Detecta o tipo real do arquivo pelos bytes iniciais. Arquivos de texto não
+// têm assinatura: nesse caso o tipo declarado só é aceito se for textual.
+async function detectarTipo(inicio, tipoDeclarado) {
+  const tipo = await FileType.fromBuffer(inicio);
+  if (tipo) return tipo.mime;
+
+  if (inicio.length === 0 || !pareceTexto(inicio)) {
+    return "application/octet-stream";
+  }
+  return TIPOS_TEXTO.test(tipoDeclarado) ? tipoDeclarado : "text/plain";
+}
+
+// Confere um tipo com os padrões permitidos ("image/png", "image/*" ou "*/*")
+const tipoCorresponde = (tipo, padroes) =>
+  padroes.some((padrao) => {
+    if (padrao === "*/*" || padrao === "*") return true;
+    if (padrao.endsWith("/*")) return tipo.startsWith(padrao.slice(0, -1));
+    return tipo === padrao;
+  });
+
+// Recusa executáveis e tipos fora da lista permitida (415)
+function validarTipo({ nome, tipoDeclarado, tipoDetectado, tiposPermitidos }) {
+  const extensao = path.extname(nome).toLowerCase();
+
+  if (
+    TIPOS_EXECUTAVEIS.includes(tipoDetectado) ||
+    TIPOS_EXECUTAVEIS.includes(tipoDeclarado) ||
+    EXTENSOES_EXECUTAVEIS.includes(extensao)
+  ) {
+    throw erroHttp(415, "Arquivos executáveis não são permitidos");
+  }
+
+  if (!tipoCorresponde(tipoDetectado, tiposPermitidos)) {
+    throw erroHttp(
+      415,
+      `Tipo de arquivo não permitido: ${tipoDetectado}. ` +
+        `Tipos aceitos: ${tiposPermitidos.join(", ")}`
+    );
+  }
+}
+
+// Remove caminhos, acentos e caracteres especiais do nome do arquivo,
+// mantendo letras, números, ".", "-" e "_" (espaços viram "-")
+function sanitizarNomeArquivo(nome) {
+  const limpo = path.posix
+    .basename(String(nome).replace(/\\/g, "/"))
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w.\- ]+/g, "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/^[.-]+/, "");
+
+  // Limita o tamanho preservando a extensão
+  const extensao = path.extname(limpo).slice(0, 20);
+  const base = limpo.slice(0, limpo.length - path.extname(limpo).length);
+  const resultado = base.slice(0, 200) + extensao;
+
+  return base ? resultado : `arquivo${extensao}`;
+}
+
+module.exports = {
+  BYTES_DETECCAO,
+  detectarTipo,
+  validarTipo,
+  regraDoBucket,
+  sanitizarNomeArquivo,
+};